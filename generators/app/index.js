@@ -1,47 +1,69 @@
-const Generator = require('yeoman-generator');
+const BaseGenerator = require('../../lib/base-generator');
 const meta = require('../../package.json');
 
-const { join, sep } = require('path');
 const { pascalCase } = require('pascal-case');
+const CSON = require('cson-parser');
 const ejs = require('ejs');
 const fs = require('fs');
-const prettier = require("prettier");
-const slugify = require('@sindresorhus/slugify');
+const yaml = require('js-yaml');
+const { join } = require('path');
 const spdxLicenseList = require('spdx-license-list/full');
-const terminalLink = require('terminal-link');
 const updateNotifier = require('update-notifier');
 const yosay = require('yosay');
 
 const {
   composeBabel,
+  composeConfigSchema,
+  addWorkspace,
   composeManifest,
-  getLicenses,
+  composeReleaseConfig,
+  diffESLintConfig,
+  diffManifest,
+  formatSource,
+  getBundlerConfig,
+  getConfigTypes,
   getDependencies,
   getDestinationPath,
-  getPrettierConfig,
-  getTemplatePath
+  getEditors,
+  getForeignLockfiles,
+  getGitHookManager,
+  getGitHooks,
+  getPackageManager,
+  getPresetCommand,
+  getReleaseTool,
+  getServiceImports,
+  getServices,
+  getTemplatePath,
+  getThemeType,
+  getWorkspaceMatrixJobs,
+  getWorkspaceViews,
+  mergeBabel,
+  upgradeManifest,
+  usesBabel
 } = require('../../lib/helpers');
 
-const validators = require('../../lib/validators');
+// Source files of each package type
+const presetSources = {
+  'autocomplete': 'provider',
+  'dock': 'dock-item',
+  'hello-world': 'hello-world',
+  'linter': 'linter',
+  'status-bar': 'status-bar-tile'
+};
 
 // Is there a newer version of this generator?
 updateNotifier({ pkg: meta }).notify();
 
-async function copyPrettyTpl(inputFile, outputFile, props) {
-  const template = (
-    await fs.promises.readFile(inputFile)
-  ).toString();
+// Reads the exports of a generated configuration, user configurations are never run
+function evaluateTemplate(source) {
+  const sandbox = { exports: {} };
 
-  const unformatted = ejs.render(template, {pkg: props});
-  const formatted = prettier.format(unformatted, {
-    parser: 'babel',
-    ...getPrettierConfig(props.eslintConfig)
-  });
+  new Function('module', 'exports', source)(sandbox, sandbox.exports);
 
-  await fs.promises.writeFile(outputFile, formatted, 'utf8');
+  return sandbox.exports;
 }
 
-module.exports = class extends Generator {
+module.exports = class extends BaseGenerator {
   constructor(args, opts) {
     super(args, opts);
 
@@ -90,438 +112,351 @@ module.exports = class extends Generator {
         type: Boolean
       }
     );
-  }
 
-  linkify(label, url) {
-    return terminalLink(label, url, {
-      fallback() {
-        return label;
+    this.option(
+      'verify',
+      {
+        desc: `Installs, builds and lints the package once it has been created`,
+        default: false,
+        type: Boolean
       }
-    })
-  }
-
-  async inquirer() {
-    if (this.options.clear) console.clear();
-    console.log(yosay('Let\'s go & build a package for Atom!'));
+    );
 
-    return this.prompt([
-      {
-        name: 'name',
-        message: 'What do you want to name your package?',
-        default: slugify(this.appname),
-        store: true,
-        validate: str => validators.name(str, this.options)
-      },
-      {
-        name: 'description',
-        message: 'What is your package description?',
-        default: '',
-        store: true,
-        validate: str => validators.description(str, this.options)
-      },
+    this.option(
+      'cache',
       {
-        name: 'author',
-        message: 'What\'s your GitHub username?',
-        default: async () => {
-          let username;
-
-          try {
-            username = await this.user.github.username();
-          } catch (error) {
-            username = '';
-          }
+        desc: `Installs dependencies offline from a local npm or Yarn cache, used with --verify`,
+        type: String
+      }
+    );
 
-          return username;
-        },
-        store: true,
-        validate: str => validators.user(str),
-        when: () => !this.options.org
-      },
-      {
-        type: 'confirm',
-        name: 'private',
-        message: 'Is this a private package?',
-        store: true,
-        default: false,
-      },
+    this.option(
+      'registry',
       {
-        type: 'list',
-        name: 'license',
-        message: 'Choose a license',
-        default: 'MIT',
-        store: true,
-        choices: getLicenses,
-      },
+        desc: `Installs dependencies from a registry mirror, used with --verify`,
+        type: String
+      }
+    );
 
+    this.option(
+      'package-registry',
       {
-        type: 'checkbox',
-        name: 'features',
-        message: 'Package Features',
-        store: true,
-        choices: [
-          {
-            name: 'Code',
-            value: 'code',
-            checked: true
-          },
-          {
-            name: 'Grammars',
-            value: 'grammars',
-            checked: false
-          },
-          {
-            name: 'Keymaps',
-            value: 'keymaps',
-            checked: false
-          },
-          {
-            name: 'Menus',
-            value: 'menus',
-            checked: false
-          },
-          {
-            name: 'Snippets',
-            value: 'snippets',
-            checked: false
-          },
-          {
-            name: 'Styles',
-            value: 'styles',
-            checked: false
-          }
-        ]
-      },
-      {
-        type: 'list',
-        name: 'language',
-        message: 'Choose your preferred language',
-        default: 'typescript',
-        store: true,
-        choices: [
-          {
-            name: this.linkify('CoffeeScript', 'https://coffeescript.org'),
-            value: 'coffeescript'
-          },
-          {
-            name: this.linkify('JavaScript', 'https://developer.mozilla.org/en-US/docs/Web/JavaScript'),
-            value: 'javascript'
-          },
-          {
-            name: this.linkify('TypeScript', 'https://www.typescriptlang.org'),
-            value: 'typescript'
-          }
-        ],
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        type: 'list',
-        name: 'bundler',
-        message: 'Bundler',
-        default: 'rollup',
-        store: true,
-        choices: [
-          {
-            name: this.linkify('Rollup', 'https://rollupjs.org/'),
-            value: 'rollup'
-          },
-          {
-            name: this.linkify('Webpack', 'https://webpack.js.org/'),
-            value: 'webpack'
-          }
-        ],
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        type: 'list',
-        name: 'packageManager',
-        message: 'Package Manager',
-        default: 'npm',
-        store: true,
-        choices: [
-          {
-            name: this.linkify('npm', 'https://www.npmjs.com/get-npm'),
-            value: 'npm'
-          },
-          {
-            name: this.linkify('Yarn', 'https://yarnpkg.com/'),
-            value: 'yarn'
-          }
-        ],
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        type: 'confirm',
-        name: 'activationCommands',
-        message: 'Add activation command?',
-        default: true,
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        type: 'checkbox',
-        name: 'activationHooks',
-        message: 'Add activation hooks?',
-        store: true,
-        choices: [
-          {
-            name: 'Loaded Shell Environment',
-            value: 'core:loaded-shell-environment',
-            checked: false
-          },
-          {
-            name: 'Root Scope Used',
-            value: 'root-scope-used',
-            checked: false
-          },
-          {
-            name: 'Grammar Used',
-            value: 'grammar-used',
-            checked: false
-          }
-        ],
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        name: 'rootScopeUsed',
-        message: 'Activation Hooks: Specify root scope used',
-        store: true,
-        when: answers => answers.features?.includes('code') && answers.activationHooks?.includes('root-scope-used'),
-        validate: str => validators.rootScope(str)
-      },
-      {
-        name: 'grammarUsed',
-        message: 'Activation Hooks: Specify grammar used',
-        store: true,
-        when: answers => answers.features?.includes('code') && answers.activationHooks?.includes('grammar-used'),
-        validate: str => validators.grammar(str)
-      },
-      {
-        type: 'confirm',
-        name: 'workspaceOpeners',
-        message: 'Add workspace openers?',
-        store: true,
-        default: false,
-        when: answers => answers.features?.includes('code')
-      },
-      {
-        name: 'workspaceOpenerURIs',
-        message: 'Workspace Openers: Specify workspace URIs (comma-separated)',
-        store: true,
-        when: answers => answers.workspaceOpeners,
-        validate: str => validators.workspaceOpener(str)
-      },
+        desc: `Validates package dependencies against another registry, e.g. a local stand-in`,
+        type: String
+      }
+    );
+
+    this.option(
+      'upgrade',
       {
-        type: 'confirm',
-        name: 'atomDependenciesQuestion',
-        message: 'Depend on other Atom packages?',
+        desc: `Merges new defaults into an existing package, keeping user-defined values`,
         default: false,
-        store: true,
-        // when: answers => answers.features?.includes('code')
-      },
-      {
-        name: 'atomDependencies',
-        message: 'Specify Atom packages (comma-separated)',
-        store: true,
-        when: answers => answers.atomDependenciesQuestion,
-        validate: async str => await validators.atomDependencies(str)
-      },
-      {
-        type: 'checkbox',
-        name: 'additionalDependencies',
-        message: 'Specify additional dependencies',
-        store: true,
-        choices: [
-          {
-            name: this.linkify('Developer Console', 'https://www.npmjs.com/package/@atxm/developer-console'),
-            value: '@atxm/developer-console',
-            checked: false
-          },
-          {
-            name: this.linkify('Metrics', 'https://www.npmjs.com/package/@atxm/metrics'),
-            value: '@atxm/metrics',
-            checked: false
-          }
-        ],
-        when: answers => answers.features?.includes('code') && answers.language !== 'coffeescript'
-      },
+        type: Boolean
+      }
+    );
+
+    this._registerFlags(this._getQuestions());
+  }
+
+  initializing() {
+    if (this.options.verify) {
+      this.composeWith(require.resolve('../doctor'), {
+        'cache': this.options.cache,
+        'registry': this.options.registry,
+        'dry-run': this.options['dry-run'],
+        'plan-format': this.options['plan-format']
+      });
+    }
+  }
+
+  // Previous answers of an upgraded package, flags and answers files take precedence
+  async _getPresets(questions) {
+    const presets = await super._getPresets(questions);
+
+    if (!this.options.upgrade) {
+      return presets;
+    }
+
+    const project = this._getProject();
+    const projectAnswers = {
+      ...(spdxLicenseList[project.manifest.license] ? { license: project.manifest.license } : {}),
+      ...project
+    };
+
+    return {
+      ...Object.fromEntries(questions
+        .filter(question => typeof projectAnswers[question.name] !== 'undefined' && projectAnswers[question.name] !== '')
+        .map(question => [question.name, projectAnswers[question.name]])),
+      ...presets
+    };
+  }
+
+  _copyPrettyTpl(inputFile, outputFile, props) {
+    const unformatted = ejs.render(this.fs.read(inputFile), {pkg: props});
+
+    this.fs.write(outputFile, formatSource(unformatted, props));
+  }
+
+  // Files of an upgraded package are kept, unless their contents have been merged
+  _keepExistingFiles() {
+    this.fs.store.each(file => {
+      if (file.state === 'modified' && file.conflicter !== 'force' && fs.existsSync(file.path)) {
+        file.conflicter = 'skip';
+      }
+    });
+  }
+
+  _writeManifest(props) {
+    const filePath = this.destinationPath('package.json');
+
+    if (!this.options.upgrade) {
+      this.fs.copyTpl(
+        this.templatePath('shared/package.json.ejs'),
+        filePath,
+        {
+          manifest: composeManifest(props),
+          indentation: 2
+        }
+      );
+
+      return;
+    }
+
+    const manifest = this.fs.readJSON(filePath);
+    const upgraded = upgradeManifest(manifest, composeManifest(props));
+    const changes = diffManifest(manifest, upgraded);
+
+    this.log(changes.length
+      ? `Changes to package.json:\n${changes.map(change => `  ${change}`).join('\n')}`
+      : 'No changes to package.json');
+
+    this.fs.writeJSON(filePath, upgraded);
+    this._forceWrite('package.json');
+  }
+
+  _writeBabel(props) {
+    const filePath = this.destinationPath('.babelrc');
+
+    if (this.options.upgrade && fs.existsSync(filePath)) {
+      this.fs.writeJSON(filePath, mergeBabel(this.fs.readJSON(filePath), composeBabel(props)));
+      this._forceWrite('.babelrc');
+
+      return;
+    }
+
+    this.fs.copyTpl(
+      this.templatePath(`${props.language}/_babelrc.ejs`),
+      filePath,
       {
-        name: 'gaTrackingId',
-        message: 'Specify your Google Analytics Tracking ID',
-        store: true,
-        when: answers => answers.features?.includes('code') && answers.additionalDependencies?.includes('@atxm/metrics'),
-        validate: trackingID => /^UA-\d{4,}-\d{1,}/.test(trackingID)
-          ? true
-          : 'Unsupported tracking ID format (should be UA-XXXX-Y)'
-      },
+        babelrc: composeBabel(props),
+        indentation: 2
+      }
+    );
+  }
+
+  // ESLint configurations may hold code, so settings missing from them are printed instead of merged
+  _writeESLint(props) {
+    const filePath = this.destinationPath('.eslintrc.cjs');
+    const templatePath = props.workspace?.configs.eslint
+      ? this.templatePath('shared/_eslintrc.workspace.ejs')
+      : this.templatePath(`${props.language}/_eslintrc.ejs`);
+
+    if (this.options.upgrade && fs.existsSync(filePath)) {
+      const changes = diffESLintConfig(this.fs.read(filePath), evaluateTemplate(ejs.render(this.fs.read(templatePath), { pkg: props })));
+
+      this.log(changes.length
+        ? `Suggested changes to .eslintrc.cjs:\n${changes.map(change => `  ${change}`).join('\n')}`
+        : 'No changes to .eslintrc.cjs');
+
+      return;
+    }
+
+    this.fs.copyTpl(
+      templatePath,
+      filePath,
       {
-        type: 'checkbox',
-        name: 'addConfig',
-        message: 'Add CI configuration',
-        store: true,
-        choices: [
-          {
-            name: this.linkify('Bitbucket Pipelines', 'https://bitbucket.org/product/features/pipelines'),
-            value: 'bitbucketPipelines',
-            checked: false,
-            disabled: answers => !answers.privatePackage
-          },
-          {
-            name: this.linkify('Circle CI', 'https://circleci.com'),
-            value: 'circleCI',
-            checked: false
-          },
-          {
-            name: this.linkify('GitHub Actions', 'https://github.com/features/actions'),
-            value: 'githubActions',
-            checked: false
-          },
-          {
-            name: this.linkify('Travis CI', 'https://travis-ci.org'),
-            value: 'travisCI',
-            checked: false
-          }
-        ]
-      },
+        pkg: props
+      }
+    );
+  }
+
+  _writeRepositoryFiles(props) {
+    this._writeCI(props);
+
+    this.fs.copy(
+      this.templatePath('shared/_editorconfig'),
+      this.destinationPath('.editorconfig')
+    );
+
+    this.fs.copyTpl(
+      this.templatePath('shared/_gitignore'),
+      this.destinationPath('.gitignore'),
       {
-        type: 'checkbox',
-        name: 'babelPresets',
-        message: 'Babel Presets',
-        store: true,
-        when: answers => answers.features?.includes('code') && answers.language === 'javascript',
-        choices: [
-          {
-            name: this.linkify('Flow', 'https://www.npmjs.com/package/@babel/preset-flow'),
-            value: '@babel/preset-flow'
-          },
-          {
-            name: this.linkify('React', 'https://www.npmjs.com/package/@babel/preset-react'),
-            value: '@babel/preset-react',
-          }
-        ]
-      },
+        foreignLockfiles: getForeignLockfiles(props.packageManager),
+        packageManager: props.packageManager,
+        yarnNodeLinker: props.yarnNodeLinker
+      }
+    );
+
+    if (props.packageManager === 'yarn-berry') {
+      this.fs.copyTpl(
+        this.templatePath('shared/_yarnrc.yml.ejs'),
+        this.destinationPath('.yarnrc.yml'),
+        {
+          nodeLinker: props.yarnNodeLinker || 'node-modules'
+        }
+      );
+    }
+
+    this.fs.copyTpl(
+      this.templatePath('shared/_gitattributes'),
+      this.destinationPath('.gitattributes'),
       {
-        type: 'list',
-        name: 'eslintConfig',
-        message: 'ESLint Configuration',
-        default: 'eslint',
-        store: true,
-        when: answers => answers.features?.includes('code') && answers.language !== 'coffeescript',
-        choices: [
-          {
-            name: this.linkify('Atom IDE Community', 'https://www.npmjs.com/package/eslint-config-atomic'),
-            value: 'atomic',
-          },
-          {
-            name: this.linkify('Airbnb', 'https://www.npmjs.com/package/eslint-config-airbnb'),
-            value: 'airbnb',
-          },
-          {
-            name: this.linkify('ESLint', 'https://www.npmjs.com/package/eslint-config-eslint'),
-            value: 'eslint',
-          },
-          {
-            name: this.linkify('Google', 'https://www.npmjs.com/package/eslint-config-google'),
-            value: 'google',
-          },
-          {
-            name: this.linkify('Idiomatic', 'https://www.npmjs.com/package/eslint-config-idiomatic'),
-            value: 'idiomatic',
-          },
-          {
-            name: this.linkify('Prettier', 'https://www.npmjs.com/package/eslint-config-prettier'),
-            value: 'prettier',
-          },
-          {
-            name: this.linkify('Semistandard', 'https://www.npmjs.com/package/eslint-config-semistandard'),
-            value: 'semistandard',
-          },
-          {
-            name: this.linkify('Standard', 'https://www.npmjs.com/package/eslint-config-standard'),
-            value: 'standard',
-          },
+        foreign: props
+      }
+    );
+
+    this._writeGitHooks(props);
+
+    if (props.vscodeTasks) {
+      this.fs.copy(
+        this.templatePath('shared/vscode/tasks.json'),
+        this.destinationPath('.vscode/tasks.json')
+      );
+    }
+  }
+
+  // simple-git-hooks reads its hooks from the manifest
+  _writeGitHooks(props) {
+    const gitHookManager = getGitHookManager(props);
+
+    if (!gitHookManager) return;
+
+    switch (gitHookManager.dependency) {
+      case 'husky':
+        Object.entries(getGitHooks(props)).forEach(([hook, command]) => {
+          this.fs.copyTpl(
+            this.templatePath('shared/_husky'),
+            this.destinationPath(`.husky/${hook}`),
+            {
+              command
+            }
+          );
+        });
+        break;
+
+      case 'lefthook':
+        this.fs.copyTpl(
+          this.templatePath('shared/lefthook.yml'),
+          this.destinationPath('lefthook.yml'),
           {
-            name: this.linkify('XO', 'https://www.npmjs.com/package/eslint-config-xo'),
-            value: 'xo',
+            hooks: getGitHooks(props, '{1}')
           }
-        ]
-      },
-      {
-        type: 'list',
-        name: 'stylelintConfig',
-        message: 'Stylelint Configuration',
-        default: 'recommended',
-        store: true,
-        when: answers => answers.features?.includes('styles'),
-        choices: [
-          {
-            name: this.linkify('Airbnb', 'https://www.npmjs.com/package/stylelint-config-airbnb'),
-            value: 'airbnb',
-          },
-          {
-            name: this.linkify('Idiomatic', 'https://www.npmjs.com/package/stylelint-config-idiomatic'),
-            value: 'idiomatic',
-          },
-          {
-            name: this.linkify('Prettier', 'https://www.npmjs.com/package/stylelint-config-prettier'),
-            value: 'prettier',
-          },
-          {
-            name: this.linkify('Primer', 'https://www.npmjs.com/package/stylelint-config-primer'),
-            value: 'primer',
-          },
-          {
-            name: this.linkify('Recommended', 'https://www.npmjs.com/package/stylelint-config-recommended'),
-            value: 'recommended',
-          },
-          {
-            name: this.linkify('Standard', 'https://www.npmjs.com/package/stylelint-config-standard'),
-            value: 'standard',
-          },
-          {
-            name: this.linkify('WordPress', 'https://www.npmjs.com/package/stylelint-config-wordpress'),
-            value: 'wordpress',
-          },
+        );
+        break;
+    }
+
+    if (props.commitlint) {
+      this.fs.writeJSON(this.destinationPath('.commitlintrc.json'), {
+        extends: ['@commitlint/config-conventional']
+      });
+    }
+  }
+
+  // The changelog is written by semantic-release and changesets, or by hand with np
+  _writeReleaseTooling(props) {
+    this.fs.copy(
+      this.templatePath('shared/CHANGELOG.md'),
+      this.destinationPath('CHANGELOG.md')
+    );
+
+    switch (props.releaseTool) {
+      case 'changesets':
+        this.fs.copy(
+          this.templatePath('shared/changeset/config.json'),
+          this.destinationPath('.changeset/config.json')
+        );
+
+        this.fs.copyTpl(
+          this.templatePath('shared/changeset/README.md.ejs'),
+          this.destinationPath('.changeset/README.md'),
           {
-            name: this.linkify('XO', 'https://www.npmjs.com/package/stylelint-config-xo'),
-            value: 'xo',
+            pm: getPackageManager(props.packageManager)
           }
-        ]
-      },
-      {
-        type: 'confirm',
-        name: 'vscodeTasks',
-        message: 'Create Visual Studio Code tasks?',
-        when: () =>  process.env.EDITOR?.includes(`${sep}code`) || process.env.VISUAL?.includes(`${sep}code`)
-          ? true
-          : false
-      },
-      {
-        type: 'confirm',
-        name: 'initGit',
-        message: 'Initialize Git repository?',
-        default: this.fs.exists(join(process.cwd(), '.git', 'config'))
-          ? false
-          : true
-      },
-      {
-        type: 'confirm',
-        name: 'linkDevPackage',
-        message: 'Link as developer package?',
-        default: true,
-        store: true
-      },
-      {
-        type: 'confirm',
-        name: 'openInEditor',
-        message: 'Open in default editor?',
-        default: true,
-        store: true,
-        when: () => process.env.EDITOR
-          ? true
-          : false
+        );
+        break;
+
+      case 'semantic-release':
+        this.fs.writeJSON(this.destinationPath('.releaserc.json'), composeReleaseConfig(props));
+        break;
+    }
+  }
+
+  _writeTSConfig(props) {
+    if (!props.workspace?.configs.typescript) {
+      this.fs.copy(
+        this.templatePath('typescript/tsconfig.json'),
+        this.destinationPath('tsconfig.json')
+      );
+
+      return;
+    }
+
+    this.fs.writeJSON(this.destinationPath('tsconfig.json'), {
+      extends: props.workspace.configs.typescript,
+      compilerOptions: {
+        outDir: 'lib',
+        rootDir: 'src'
       },
-    ]).then(async props => {
+      include: [
+        'src/**/*'
+      ]
+    });
+  }
+
+  // Registers the package at the root of its workspace, unless a glob already matches it
+  _writeWorkspace(workspace) {
+    const manifestPath = join(workspace.root, 'package.json');
+    const manifest = addWorkspace(workspace.manifest, workspace.packagePath);
+
+    if (manifest !== workspace.manifest) {
+      this.fs.writeJSON(manifestPath, manifest);
+      this._forceWrite(manifestPath);
+    }
+
+    // Workflows belong to the user and may hold comments, so the matrix entries to add are printed instead
+    const workflowsDir = join(workspace.root, '.github', 'workflows');
+
+    if (!fs.existsSync(workflowsDir)) return;
+
+    fs.readdirSync(workflowsDir)
+      .filter(fileName => /\.ya?ml$/.test(fileName))
+      .forEach(fileName => {
+        const workflow = yaml.load(this.fs.read(join(workflowsDir, fileName)));
+
+        getWorkspaceMatrixJobs(workflow || {}, workspace.packagePath).forEach(job => {
+          this.log(`Add ${workspace.packagePath} to the package matrix of the ${job} job in .github/workflows/${fileName}`);
+        });
+      });
+  }
+
+  async inquirer() {
+    // JSON plans are printed to stdout, so they can be piped
+    if (!this.options['dry-run'] || this.options['plan-format'] !== 'json') {
+      if (this.options.clear) console.clear();
+      console.log(yosay('Let\'s go & build a package for Atom!'));
+    }
+
+    return this._ask(this._getQuestions()).then(async props => {
       if (this.options.debug) console.log(props);
 
+      props.workspace = this._getWorkspace();
+
+      // Themes consist of styles only
+      if (getThemeType(props)) {
+        props.features = ['styles'];
+      }
+
       props.className = pascalCase(props.name.replace('-', ' '));
       props.licenseURL = spdxLicenseList[props.license].url;
       props.licenseName = spdxLicenseList[props.license].name;
@@ -534,65 +469,48 @@ module.exports = class extends Generator {
         : "npm run lint:code";
 
       if (typeof props.atomDependencies !== 'undefined') {
-        props.atomDependencies = props.atomDependencies.split(',');
-        props.atomDependencies.map(dependency => dependency.trim());
+        props.atomDependencies = props.atomDependencies.split(',').map(dependency => dependency.trim());
+      }
+
+      ['consumedServices', 'providedServices'].forEach(key => {
+        if (typeof props[key] !== 'undefined') {
+          props[key] = props[key].split(',').map(service => service.trim()).filter(service => service.length);
+        }
+      });
+
+      // JSX views need the React preset
+      if (props.language === 'javascript' && usesBabel(props) && ['etch', 'react'].includes(props.viewFramework)) {
+        props.babelPresets = [...new Set([...(props.babelPresets || []), '@babel/preset-react'])];
       }
 
+      if (typeof props.providerScopes !== 'undefined') {
+        props.providerScopes = props.providerScopes.split(',').map(scope => scope.trim()).filter(scope => scope.length);
+      }
+
+      this._saveProject(props);
+
       // Copying files
-      await Promise.all(props.features.map( async feature => {
-        if (feature !== 'code') await fs.promises.mkdir(feature, {recursive: true});
-      }));
+      // Presets without a command, e.g. providers, have nothing to bind
+      if (props.features?.includes('code') && props.features?.includes('keymaps') && getPresetCommand(props)) {
+        this._writeKeymap(props, getPresetCommand(props));
+      }
 
-      if (props.language === 'coffeescript') {
-        if (props.features?.includes('code') && props.features?.includes('keymaps')) {
-          this.fs.copyTpl(
-            this.templatePath('coffeescript/keymaps/keymap.cson.ejs'),
-            this.destinationPath(`keymaps/${props.name}.cson`),
-            {
-              pkg: props
-            }
-          );
-        }
+      if (props.features?.includes('code') && props.features?.includes('menus') && getPresetCommand(props)) {
+        this._writeMenu(props, getPresetCommand(props));
+      }
 
-        if (props.features?.includes('code') && props.features?.includes('menus')) {
-          this.fs.copyTpl(
-            this.templatePath('coffeescript/menus/menu.cson.ejs'),
-            this.destinationPath(`menus/${props.name}.cson`),
-            {
-              pkg: props
-            }
-          );
-        }
-      } else {
-        if (props.features?.includes('code') && props.features?.includes('keymaps')) {
-          this.fs.copyTpl(
-            this.templatePath('shared/keymaps/keymap.json.ejs'),
-            this.destinationPath(`keymaps/${props.name}.json`),
-            {
-              pkg: props
-            }
-          );
-        }
+      if (props.features?.includes('grammars')) {
+        this._writeGrammar(props);
+      }
 
-        if (props.features?.includes('code') && props.features?.includes('menus')) {
-          this.fs.copyTpl(
-            this.templatePath('shared/menus/menu.json.ejs'),
-            this.destinationPath(`menus/${props.name}.json`),
-            {
-              pkg: props
-            }
-          );
-        }
+      if (props.features?.includes('snippets')) {
+        this._writeSnippets(props);
       }
 
-      if (props.features?.includes('styles')) {
-        this.fs.copyTpl(
-          this.templatePath('shared/styles/style.less.ejs'),
-          this.destinationPath(`styles/${props.name}.less`),
-          {
-            pkg: props
-          }
-        );
+      if (getThemeType(props)) {
+        this._writeTheme(props);
+      } else if (props.features?.includes('styles')) {
+        this._writeStyles(props);
       }
 
       if (props.features?.includes('code') && props.additionalDependencies?.includes('@atxm/metrics')) {
@@ -604,9 +522,11 @@ module.exports = class extends Generator {
           `;
       }
 
-      fs.promises.mkdir('src', {recursive: true});
-
       if (props.features?.includes('code')) {
+        props.services = getServices(props);
+        props.serviceImports = getServiceImports(props.services);
+        props.workspaceViews = getWorkspaceViews(props);
+
         if (props.language === 'coffeescript') {
           this.fs.copyTpl(
             this.templatePath('coffeescript/src/main.ejs'),
@@ -616,34 +536,105 @@ module.exports = class extends Generator {
             }
           );
         } else {
-          await copyPrettyTpl(
+          this._copyPrettyTpl(
             this.templatePath(await getTemplatePath(`src/main.ejs`, props.language)),
             this.destinationPath(getDestinationPath(`src/main.ejs`, props.language)),
             props
           );
         }
 
-        this.fs.copyTpl(
-          this.templatePath(await getTemplatePath('src/config.ejs', props.language)),
-          this.destinationPath(getDestinationPath('src/config.ejs', props.language)),
-          {
-            pkg: props
-          }
-        );
+        props.configSchema = composeConfigSchema(props.configOptions);
+        props.configTypes = getConfigTypes(props.configOptions);
+
+        if (props.language === 'coffeescript') {
+          this.fs.copyTpl(
+            this.templatePath('coffeescript/src/config.ejs'),
+            this.destinationPath('src/config.coffee'),
+            {
+              pkg: props,
+              CSON
+            }
+          );
+        } else {
+          this._copyPrettyTpl(
+            this.templatePath(await getTemplatePath('src/config.ejs', props.language)),
+            this.destinationPath(getDestinationPath('src/config.ejs', props.language)),
+            props
+          );
+        }
+
+        const presetSource = `src/${presetSources[props.packageType]}.ejs`;
 
         this.fs.copyTpl(
-          this.templatePath(await getTemplatePath('src/hello-world.ejs', props.language)),
-          this.destinationPath(getDestinationPath('src/hello-world.ejs', props.language)),
+          this.templatePath(await getTemplatePath(presetSource, props.language)),
+          this.destinationPath(getDestinationPath(presetSource, props.language)),
           {
             pkg: props
           }
         );
+
+        if (props.persistState) {
+          const stateSource = 'src/state.ejs';
+
+          this.fs.copyTpl(
+            this.templatePath(await getTemplatePath(stateSource, props.language)),
+            this.destinationPath(getDestinationPath(stateSource, props.language)),
+            {
+              pkg: props
+            }
+          );
+        }
+
+        for (const view of props.workspaceViews) {
+          this.fs.copyTpl(
+            this.templatePath(await getTemplatePath('src/view.ejs', props.language)),
+            this.destinationPath(getDestinationPath(`src/views/${view.fileName}.ejs`, props.language)),
+            {
+              pkg: props,
+              view
+            }
+          );
+        }
+
+        // Etch ships without typings
+        if (props.language === 'typescript' && props.workspaceViews.length && props.viewFramework === 'etch') {
+          this.fs.copy(
+            this.templatePath('typescript/src/etch.d.ts'),
+            this.destinationPath('src/etch.d.ts')
+          );
+        }
+
+        // Parcel only compiles JSX of the libraries it knows
+        if (props.language === 'javascript' && props.bundler === 'parcel' && props.workspaceViews.length && props.viewFramework === 'etch') {
+          this.fs.writeJSON(this.destinationPath('jsconfig.json'), {
+            compilerOptions: {
+              jsx: 'react',
+              jsxFactory: 'etch.dom'
+            }
+          });
+        }
+
+        // Interfaces of services without typings
+        if (props.language === 'typescript' && props.serviceImports['./services']) {
+          this.fs.copyTpl(
+            this.templatePath('typescript/src/services.ejs'),
+            this.destinationPath('src/services.ts'),
+            {
+              pkg: props
+            }
+          );
+        }
+
+        if (props.testRunner !== 'none') {
+          this._writeSpecs(props);
+        }
       }
 
      this.fs.copyTpl(
         this.templatePath('shared/README.md.ejs'),
         this.destinationPath('README.md'),
         {
+          editors: getEditors(props.targetEditor),
           pkg: props
         }
       );
@@ -656,82 +647,29 @@ module.exports = class extends Generator {
         }
       );
 
-      if (props.features?.includes('code')) {
-        const bundlerConfig = props.bundler === 'rollup'
-          ? 'rollup.config.js'
-          : 'webpack.config.js';
-
-        this.fs.copy(
-          this.templatePath(await getTemplatePath(`${bundlerConfig}.ejs`, props.language)),
-          this.destinationPath(bundlerConfig)
-        );
-      }
-
-      if (props.addConfig?.includes('bitbucketPipelines')) {
-        this.fs.copy(
-          this.templatePath('shared/ci/bitbucket-pipelines.yml'),
-          this.destinationPath('bitbucket-pipelines.yml')
-        );
+      if (getReleaseTool(props)) {
+        this._writeReleaseTooling(props);
       }
 
-      if (props.addConfig?.includes('circleCI')) {
-        await fs.promises.mkdir('.circleci', {recursive: true});
+      const bundlerConfig = getBundlerConfig(props.bundler);
 
+      if (props.features?.includes('code') && bundlerConfig) {
         this.fs.copyTpl(
-          this.templatePath('shared/ci/circleci.yml'),
-          this.destinationPath('.circleci/config.yml')
-        );
-      }
-
-      if (props.addConfig?.includes('githubActions')) {
-        await fs.promises.mkdir('.github/workflows', {recursive: true});
-
-        this.fs.copyTpl(
-          this.templatePath('shared/ci/github-actions.yml'),
-          this.destinationPath('.github/workflows/nodejs.yml')
-        );
-      }
-
-      if (props.addConfig?.includes('travisCI')) {
-        this.fs.copy(
-          this.templatePath('shared/ci/travis.yml'),
-          this.destinationPath('.travis.yml')
-        );
-      }
-
-      this.fs.copy(
-        this.templatePath('shared/_editorconfig'),
-        this.destinationPath('.editorconfig')
-      );
-
-      this.fs.copyTpl(
-        this.templatePath('shared/_gitignore'),
-        this.destinationPath('.gitignore'),
-        {
-          foreignLockfile: props.packageManager === 'yarn'
-            ? 'package-lock-json'
-            : 'yarn.lock'
-        }
-      );
-
-      this.fs.copyTpl(
-        this.templatePath('shared/_gitattributes'),
-        this.destinationPath('.gitattributes'),
-        {
-          foreign: props
-        }
-      );
-
-      if (props.features?.includes('styles')) {
-        this.fs.copyTpl(
-          this.templatePath('shared/_stylelintrc.ejs'),
-          this.destinationPath('.stylelintrc'),
+          this.templatePath(await getTemplatePath(`${bundlerConfig}.ejs`, props.language)),
+          this.destinationPath(bundlerConfig),
           {
             pkg: props
           }
         );
       }
 
+      // Packages of a workspace share the repository-level files of its root
+      if (props.workspace) {
+        this._writeWorkspace(props.workspace);
+      } else {
+        this._writeRepositoryFiles(props);
+      }
+
       if (props.features?.includes('code')) {
 
         switch (props.language) {
@@ -748,43 +686,21 @@ module.exports = class extends Generator {
             break;
 
           case 'javascript':
-            this.fs.copyTpl(
-              this.templatePath('javascript/_eslintrc.ejs'),
-              this.destinationPath('.eslintrc.cjs'),
-              {
-                pkg: props
-              }
-            );
+            this._writeESLint(props);
             break;
 
           case 'typescript':
-            this.fs.copyTpl(
-              this.templatePath('typescript/_eslintrc.ejs'),
-              this.destinationPath('.eslintrc.cjs'),
-              {
-                pkg: props
-              }
-            );
+            this._writeESLint(props);
 
-            if (props.bundler === 'webpack') {
-              this.fs.copy(
-                this.templatePath('typescript/tsconfig.json'),
-                this.destinationPath('tsconfig.json')
-              );
+            if (['none', 'webpack'].includes(props.bundler)) {
+              this._writeTSConfig(props);
             }
             break;
         }
       }
 
-      if (['javascript', 'typescript'].includes(props.language)) {
-        this.fs.copyTpl(
-          this.templatePath(`${props.language}/_babelrc.ejs`),
-          this.destinationPath('.babelrc'),
-          {
-            babelrc: composeBabel(props),
-            indentation: 2
-          }
-        );
+      if (usesBabel(props)) {
+        this._writeBabel(props);
       }
 
       // switch (props.eslintConfig) {
@@ -805,45 +721,36 @@ module.exports = class extends Generator {
       //     break;
       // }
 
-      this.fs.copy(
-        this.templatePath('shared/_husky'),
-        this.destinationPath('.husky/pre-commit')
-      );
+      // Install dependencies, upgraded packages only need the ones they're missing
+      const dependencies = this.options.upgrade
+        ? this._getMissingDependencies(props)
+        : getDependencies(props);
 
-      if (props.vscodeTasks) {
-        this.fs.copy(
-          this.templatePath('shared/vscode/tasks.json'),
-          this.destinationPath('.vscode/tasks.json')
-        );
-      }
+      this._writeManifest(props);
 
-      // Install dependencies
-      this.fs.copyTpl(
-        this.templatePath('shared/package.json.ejs'),
-        this.destinationPath(`package.json`),
-        {
-          manifest: composeManifest(props),
-          indentation: 2
-        }
-      );
-
-      const [dependencies, devDependencies] = getDependencies(props);
-      const installApi = `${props.packageManager}Install`;
-
-      if (props.features?.includes('code')) {
-        if (dependencies.length) this[installApi](dependencies, { ignoreScripts: true });
+      if (this.options.upgrade) {
+        this._keepExistingFiles();
+      } else if (props.packageManager === 'yarn-berry' && !props.workspace) {
+        // Yarn 2+ is installed per project
+        this._scheduleCommand('yarn', ['set', 'version', 'stable']);
       }
 
-      if (devDependencies.length) this[installApi](devDependencies, { 'dev': true });
+      // The doctor installs them with the cache and registry flags
+      if (!this.options.verify) {
+        this._installDependencies(props.packageManager, dependencies);
+      }
 
       // Initialize git repository
-      if (props.initGit) {
+      if (props.initGit && !props.workspace) {
         this.spawnCommandSync('git', ['init']);
       }
 
-      // Link to ~/.atom/dev/packages
+      // Link to the dev packages of each editor, e.g. ~/.pulsar/dev/packages
       if (props.linkDevPackage === true) {
-        this.spawnCommand('apm', ['link', '--dev']);
+        getEditors(props.targetEditor).forEach(editor => {
+          this.spawnCommand(editor.cli, ['link', '--dev'])
+            .on('error', () => this.log(`Could not link the package, is ${editor.cli} installed?`));
+        });
       }
 
       // Open in Editor
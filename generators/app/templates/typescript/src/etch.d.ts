@@ -0,0 +1,7 @@
+// Covers the parts of Etch used by the generated views
+declare module 'etch' {
+  export function dom(tag: string, props?: Record<string, unknown> | null, ...children: unknown[]): unknown;
+  export function initialize(component: object): void;
+  export function update(component: object): Promise<void>;
+  export function destroy(component: object): Promise<void>;
+}
@@ -0,0 +1,29 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const questions = [
+  'addConfig',
+  'ciRelease'
+];
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getQuestions(questions));
+  }
+
+  async prompting() {
+    this.props = await this._ask(this._getQuestions(questions), this._getProject());
+  }
+
+  writing() {
+    this._writeCI(this.props);
+
+    this.config.set('addConfig', [
+      ...new Set([
+        ...(this.config.get('addConfig') || []),
+        ...this.props.addConfig
+      ])
+    ]);
+  }
+};
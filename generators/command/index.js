@@ -0,0 +1,138 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const { camelCase, capitalCase } = require('change-case');
+
+const {
+  addKeybinding,
+  addMenuItem,
+  formatSource,
+  getDestinationPath,
+  getTemplatePath,
+  registerCommand
+} = require('../../lib/helpers');
+
+const validators = require('../../lib/validators');
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getCommandQuestions());
+  }
+
+  _getCommandQuestions() {
+    return [
+      {
+        name: 'command',
+        message: 'What do you want to name your command?',
+        validate: str => validators.command(str)
+      },
+      {
+        name: 'commandSelector',
+        message: 'Specify the target selector',
+        default: 'atom-workspace',
+        validate: str => validators.selector(str)
+      },
+      {
+        name: 'commandKeybinding',
+        message: 'Specify a keybinding (optional)',
+        default: '',
+        validate: str => validators.keybinding(str)
+      },
+      {
+        name: 'commandLabel',
+        message: 'Specify a menu label (optional)',
+        default: ''
+      },
+      {
+        type: 'checkbox',
+        name: 'commandMenus',
+        message: 'Add menu items',
+        choices: [
+          {
+            name: 'Packages Menu',
+            value: 'menu',
+            checked: true
+          },
+          {
+            name: 'Context Menu',
+            value: 'context-menu',
+            checked: false
+          }
+        ],
+        when: answers => answers.commandLabel?.trim().length
+      }
+    ];
+  }
+
+  async prompting() {
+    const project = this._getProject();
+
+    if (!project.features.includes('code')) {
+      throw Error('Commands require a package with code, please run this generator inside a package that has the Code feature');
+    }
+
+    this.props = await this._ask(this._getCommandQuestions(), project);
+
+    this.props.commandFunction = camelCase(this.props.command);
+    this.props.commandName = `${this.props.name}:${this.props.command}`;
+    this.props.commandTitle = `${capitalCase(this.props.name)}: ${capitalCase(this.props.command)}`;
+    this.props.commandMenus = this.props.commandMenus || [];
+  }
+
+  async writing() {
+    const { language } = this.props;
+    const mainFile = getDestinationPath('src/main.ejs', language);
+    const commandFile = getDestinationPath(`src/commands/${this.props.command}.ejs`, language);
+
+    if (!this.fs.exists(this.destinationPath(mainFile))) {
+      throw Error(`Could not find ${mainFile}`);
+    }
+
+    if (this.fs.exists(this.destinationPath(commandFile))) {
+      throw Error(`The command file ${commandFile} already exists`);
+    }
+
+    this.fs.copyTpl(
+      this.templatePath(await getTemplatePath('src/command.ejs', language)),
+      this.destinationPath(commandFile),
+      {
+        pkg: this.props
+      }
+    );
+
+    const mainSource = registerCommand(this.fs.read(this.destinationPath(mainFile)), this.props);
+
+    this.fs.write(
+      this.destinationPath(mainFile),
+      language === 'coffeescript'
+        ? mainSource
+        : formatSource(mainSource, this.props)
+    );
+
+    // Packages without activation commands activate on startup, adding one would change that
+    const activationCommands = Object.values(this.props.manifest.activationCommands || {})
+      .reduce((commands, selectorCommands) => commands.concat(selectorCommands), [])
+      .filter(command => command);
+
+    if (activationCommands.length) {
+      this._extendManifest({
+        activationCommands: {
+          [this.props.commandSelector]: [this.props.commandName]
+        }
+      });
+    }
+
+    const keymapFile = this._findFeatureFile(this.props, 'keymaps');
+
+    if (this.props.commandKeybinding && keymapFile) {
+      this._updateDataFile(keymapFile, keymap => addKeybinding(keymap, this.props.commandSelector, this.props.commandKeybinding, this.props.commandName));
+    }
+
+    const menuFile = this._findFeatureFile(this.props, 'menus');
+
+    if (this.props.commandLabel && this.props.commandMenus.length && menuFile) {
+      this._updateDataFile(menuFile, menus => addMenuItem(menus, this.props));
+    }
+  }
+};
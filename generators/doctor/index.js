@@ -0,0 +1,147 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const { getPackageManager, getPackageSpecs, getVerifyChecks } = require('../../lib/helpers');
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this.option(
+      'cache',
+      {
+        desc: `Installs dependencies offline from a local package manager cache`,
+        type: String
+      }
+    );
+
+    this.option(
+      'registry',
+      {
+        desc: `Installs dependencies from a registry mirror`,
+        type: String
+      }
+    );
+  }
+
+  // Runs last, so packages created by the app generator have been written and installed
+  end() {
+    const props = this._getProject();
+    const { command } = getPackageManager(props.packageManager);
+    const results = [];
+
+    results.push(this._install(props));
+
+    getVerifyChecks(props, this.fs.readJSON(this.destinationPath('package.json'))).forEach(check => {
+      results.push(
+        results[0].passed
+          ? {
+            ...check,
+            ...this._run(command, ['run', check.name])
+          }
+          : {
+            ...check,
+            skipped: true
+          }
+      );
+    });
+
+    this._report(results);
+  }
+
+  _getInstallOptions(packageManager) {
+    const { cacheFlags } = getPackageManager(packageManager);
+    const flags = [];
+    const env = {};
+
+    if (this.options.cache) {
+      if (cacheFlags) {
+        flags.push(...cacheFlags, this.options.cache);
+      } else {
+        env.YARN_CACHE_FOLDER = this.options.cache;
+        env.YARN_ENABLE_OFFLINE_MODE = '1';
+      }
+    }
+
+    if (this.options.registry) {
+      if (cacheFlags) {
+        flags.push('--registry', this.options.registry);
+      } else {
+        env.YARN_NPM_REGISTRY_SERVER = this.options.registry;
+      }
+    }
+
+    return { flags, env };
+  }
+
+  _install(props) {
+    const { command, addCommand, devFlag, ignoreScriptsFlag } = getPackageManager(props.packageManager);
+    const { flags, env } = this._getInstallOptions(props.packageManager);
+    const [missingDependencies, missingDevDependencies] = this._getMissingDependencies(props);
+
+    // Adding packages installs the whole tree, the postinstall script needs the hook manager to be added first
+    const commands = [
+      ...(missingDependencies.length ? [[addCommand, ...getPackageSpecs(missingDependencies), ignoreScriptsFlag, ...flags]] : []),
+      ...(missingDevDependencies.length ? [[addCommand, devFlag, ...getPackageSpecs(missingDevDependencies), ...flags]] : [])
+    ];
+
+    if (!commands.length) {
+      commands.push(['install', ...flags]);
+    }
+
+    let result;
+
+    for (const args of commands) {
+      result = this._run(command, args, env);
+
+      if (!result.passed) break;
+    }
+
+    return {
+      name: 'install',
+      files: ['package.json'],
+      ...result
+    };
+  }
+
+  _run(command, args, env = {}) {
+    const { error, status, stdout, stderr } = this.spawnCommandSync(command, args, {
+      cwd: this.destinationRoot(),
+      env: { ...process.env, ...env },
+      encoding: 'utf8',
+      stdio: 'pipe'
+    });
+
+    return {
+      passed: !error && status === 0,
+      output: error
+        ? error.message
+        : `${stdout || ''}${stderr || ''}`.trim()
+    };
+  }
+
+  _report(results) {
+    this.log('');
+
+    results.forEach(result => {
+      const files = result.files
+        .filter(file => this.fs.exists(this.destinationPath(file)))
+        .join(', ');
+
+      if (result.skipped) {
+        this.log(`- ${result.name} (skipped)`);
+      } else if (result.passed) {
+        this.log(`✔ ${result.name}`);
+      } else {
+        this.log(`✖ ${result.name}${files.length ? ` – check ${files}` : ''}`);
+        this.log(result.output.split('\n').slice(-20).map(line => `    ${line}`).join('\n'));
+      }
+    });
+
+    if (results.some(result => !result.skipped && !result.passed)) {
+      this.log('\nThe generated package failed verification');
+      process.exitCode = 1;
+    } else {
+      this.log('\nThe generated package builds and lints');
+    }
+  }
+};
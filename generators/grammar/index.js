@@ -0,0 +1,34 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const questions = [
+  'grammarType',
+  'grammarName',
+  'grammarScope',
+  'grammarFileTypes',
+  'grammarFirstLineMatch',
+  'grammarParser'
+];
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getQuestions(questions));
+  }
+
+  async prompting() {
+    const project = this._getProject();
+
+    this.props = await this._ask(this._getQuestions(questions), {
+      ...project,
+      features: [...project.features, 'grammars']
+    });
+  }
+
+  writing() {
+    const filePath = this._writeGrammar(this.props);
+
+    this._addFeature(this.props, 'grammars', filePath);
+    this._installMissing(this.props);
+  }
+};
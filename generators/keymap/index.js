@@ -0,0 +1,35 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const validators = require('../../lib/validators');
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getKeymapQuestions());
+  }
+
+  _getKeymapQuestions() {
+    return [
+      ...this._getBindingQuestions(),
+      {
+        name: 'keystroke',
+        message: 'Specify a keybinding',
+        default: 'ctrl-alt-o',
+        validate: str => str.trim().length
+          ? validators.keybinding(str)
+          : 'Please specify a keybinding'
+      }
+    ];
+  }
+
+  async prompting() {
+    this.props = await this._askBinding(this._getKeymapQuestions());
+  }
+
+  writing() {
+    const filePath = this._writeKeymap(this.props, this.props.command, this.props.keystroke);
+
+    this._addFeature(this.props, 'keymaps', filePath);
+  }
+};
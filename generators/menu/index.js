@@ -0,0 +1,19 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getBindingQuestions());
+  }
+
+  async prompting() {
+    this.props = await this._askBinding();
+  }
+
+  writing() {
+    const filePath = this._writeMenu(this.props, this.props.command);
+
+    this._addFeature(this.props, 'menus', filePath);
+  }
+};
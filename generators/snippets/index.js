@@ -0,0 +1,29 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const questions = [
+  'snippetScopes',
+  'snippetStarters'
+];
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getQuestions(questions));
+  }
+
+  async prompting() {
+    const project = this._getProject();
+
+    this.props = await this._ask(this._getQuestions(questions), {
+      ...project,
+      features: [...project.features, 'snippets']
+    });
+  }
+
+  writing() {
+    const filePath = this._writeSnippets(this.props);
+
+    this._addFeature(this.props, 'snippets', filePath);
+  }
+};
@@ -0,0 +1,30 @@
+const BaseGenerator = require('../../lib/base-generator');
+
+const questions = [
+  'stylelintConfig'
+];
+
+module.exports = class extends BaseGenerator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    this._registerFlags(this._getQuestions(questions));
+  }
+
+  async prompting() {
+    const project = this._getProject();
+
+    this.props = await this._ask(this._getQuestions(questions), {
+      ...project,
+      features: [...project.features, 'styles']
+    });
+  }
+
+  writing() {
+    const filePath = this._writeStyles(this.props);
+
+    this.config.set('stylelintConfig', this.props.stylelintConfig);
+    this._addFeature(this.props, 'styles', filePath);
+    this._installMissing(this.props);
+  }
+};
@@ -0,0 +1,188 @@
+const { paramCase } = require('change-case');
+const { promises: fs } = require('fs');
+const { resolve } = require('path');
+const yaml = require('js-yaml');
+
+// Turns a prompt name into its command-line flag, e.g. packageManager => package-manager
+function getFlagName(questionName) {
+  return paramCase(questionName, {
+    splitRegexp: /([a-z0-9])([A-Z])/g
+  });
+}
+
+// YAML is a superset of JSON, so one parser covers both formats
+async function readAnswersFile(filePath) {
+  const contents = await fs.readFile(resolve(process.cwd(), filePath), 'utf8');
+  const answers = yaml.load(contents);
+
+  if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw Error(`The answers file '${filePath}' must contain an object`);
+  }
+
+  return answers;
+}
+
+function getFlagAnswers(questions, options) {
+  const answers = {};
+
+  questions.forEach(question => {
+    const value = options[getFlagName(question.name)];
+
+    if (typeof value !== 'undefined') {
+      answers[question.name] = value;
+    }
+  });
+
+  return answers;
+}
+
+// Resolves choices the way Inquirer does, disabled ones can't be selected
+async function getChoices(question, answers) {
+  const choices = typeof question.choices === 'function'
+    ? await question.choices(answers)
+    : question.choices || [];
+
+  return choices
+    .filter(choice => choice.type !== 'separator')
+    .map(choice => typeof choice === 'object'
+      ? {
+        ...choice,
+        disabled: typeof choice.disabled === 'function'
+          ? choice.disabled(answers)
+          : choice.disabled
+      }
+      : { value: choice });
+}
+
+async function getChoiceValues(question, answers) {
+  return (await getChoices(question, answers))
+    .filter(choice => !choice.disabled)
+    .map(choice => choice.value);
+}
+
+// Disabled choices are reported along with the reason the prompt shows
+async function checkChoices(question, values, answers) {
+  const choices = await getChoices(question, answers);
+  const enabledValues = await getChoiceValues(question, answers);
+
+  values.forEach(value => {
+    const disabledChoice = choices.find(choice => choice.value === value && choice.disabled);
+
+    if (disabledChoice) {
+      throw Error(`Invalid answer for '${question.name}': '${value}' is disabled${typeof disabledChoice.disabled === 'string' ? ` (${disabledChoice.disabled})` : ''}`);
+    }
+  });
+
+  const invalidValues = values.filter(value => !enabledValues.includes(value));
+
+  if (invalidValues.length) {
+    throw Error(`Invalid answer for '${question.name}': unsupported ${invalidValues.map(value => `'${value}'`).join(', ')} (choose from ${enabledValues.join(', ')})`);
+  }
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  switch (String(value).trim().toLowerCase()) {
+    case 'true':
+    case 'yes':
+    case 'y':
+    case '1':
+      return true;
+
+    case 'false':
+    case 'no':
+    case 'n':
+    case '0':
+      return false;
+
+    default:
+      return undefined;
+  }
+}
+
+// Defaults are trusted, so non-interactive runs don't fail on empty ones, e.g. the description
+async function parseAnswer(question, value, answers, { validate = true } = {}) {
+  let answer;
+
+  switch (question.type) {
+    case 'confirm':
+      answer = toBoolean(value);
+
+      if (typeof answer === 'undefined') {
+        throw Error(`Invalid answer for '${question.name}': expected a boolean, got '${value}'`);
+      }
+      break;
+
+    case 'checkbox':
+      answer = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(item => item.length);
+
+      await checkChoices(question, answer, answers);
+      break;
+
+    case 'list':
+      answer = String(value).trim();
+
+      await checkChoices(question, [answer], answers);
+      break;
+
+    default:
+      answer = Array.isArray(value)
+        ? value.join(',')
+        : String(value);
+      break;
+  }
+
+  if (validate && typeof question.validate === 'function') {
+    const result = await question.validate(answer, answers);
+
+    if (result !== true) {
+      throw Error(`Invalid answer for '${question.name}': ${typeof result === 'string' ? result : 'validation failed'}`);
+    }
+  }
+
+  return answer;
+}
+
+// Mirrors the defaults Inquirer would pre-select for a question
+async function getDefaultAnswer(question, answers) {
+  let answer = typeof question.default === 'function'
+    ? await question.default(answers)
+    : question.default;
+
+  if (typeof answer === 'undefined') {
+    switch (question.type) {
+      case 'confirm':
+        answer = true;
+        break;
+
+      case 'checkbox':
+        answer = (await getChoices(question, answers))
+          .filter(choice => choice.checked === true && !choice.disabled)
+          .map(choice => choice.value);
+        break;
+
+      case 'list':
+        answer = (await getChoiceValues(question, answers))[0];
+        break;
+
+      default:
+        answer = '';
+        break;
+    }
+  }
+
+  return parseAnswer(question, answer, answers, { validate: false });
+}
+
+module.exports = {
+  getDefaultAnswer,
+  getFlagAnswers,
+  getFlagName,
+  parseAnswer,
+  readAnswersFile
+};
@@ -0,0 +1,875 @@
+const Generator = require('yeoman-generator');
+
+const { basename, dirname, extname, join, relative, resolve, sep } = require('path');
+const { capitalCase } = require('change-case');
+const { EventEmitter } = require('events');
+const { pascalCase } = require('pascal-case');
+const { Transform } = require('stream');
+const CSON = require('cson-parser');
+const fs = require('fs');
+const pkgDir = require('pkg-dir');
+const slugify = require('@sindresorhus/slugify');
+const terminalLink = require('terminal-link');
+
+const {
+  addKeybinding,
+  addMenuItem,
+  composeManifest,
+  composeSnippets,
+  formatFileTree,
+  getDependencies,
+  getDirectories,
+  getDestinationPath,
+  getEditors,
+  getPackageCommands,
+  getPackageManager,
+  getReleaseTool,
+  getThemeType,
+  getUnpinnedDependencies,
+  mergeManifest,
+  pinDependencies
+} = require('./helpers');
+
+const { createRegistryClient } = require('./registry');
+
+const {
+  getDefaultAnswer,
+  getFlagAnswers,
+  getFlagName,
+  parseAnswer,
+  readAnswersFile
+} = require('./answers');
+
+const { getQuestions } = require('./questions');
+
+// Shared configurations at the root of a workspace, in order of preference
+const workspaceConfigs = {
+  eslint: ['.eslintrc.cjs', '.eslintrc.js', '.eslintrc.json', '.eslintrc.yml', '.eslintrc'],
+  stylelint: ['.stylelintrc', '.stylelintrc.json', '.stylelintrc.cjs', 'stylelint.config.js'],
+  typescript: ['tsconfig.base.json', 'tsconfig.json']
+};
+
+// Node versions that CI builds the package with
+const ciNodeVersions = ['22', '24'];
+
+// Answers that sub-generators read from .yo-rc.json
+const projectKeys = [
+  'addConfig',
+  'additionalDependencies',
+  'author',
+  'babelPresets',
+  'bundler',
+  'ciRelease',
+  'commitlint',
+  'eslintConfig',
+  'features',
+  'gitHooks',
+  'language',
+  'name',
+  'packageKind',
+  'packageManager',
+  'prePushHooks',
+  'releaseTool',
+  'stylelintConfig',
+  'targetEditor',
+  'testRunner'
+];
+
+module.exports = class BaseGenerator extends Generator {
+  constructor(args, opts) {
+    super(args, opts);
+
+    // Sub-generators share the templates of the app generator
+    this.sourceRoot(resolve(__dirname, '../generators/app/templates'));
+
+    this.option(
+      'answers',
+      {
+        desc: `Reads answers from a JSON or YAML file`,
+        type: String
+      }
+    );
+
+    this.option(
+      'yes',
+      {
+        alias: 'y',
+        desc: `Accepts the default for every unanswered question`,
+        default: false,
+        type: Boolean
+      }
+    );
+
+    this.option(
+      'dry-run',
+      {
+        desc: `Prints the files and commands of the generator, without writing or running them`,
+        default: false,
+        type: Boolean
+      }
+    );
+
+    this.option(
+      'plan-format',
+      {
+        desc: `Prints the dry run as a "tree" or as "json"`,
+        default: 'tree',
+        type: String
+      }
+    );
+
+    if (this.options['dry-run']) {
+      this._planDryRun();
+    }
+  }
+
+  linkify(label, url) {
+    return terminalLink(label, url, {
+      fallback() {
+        return label;
+      }
+    })
+  }
+
+  // Composed generators share the plan, which is printed once all of them are done
+  _planDryRun() {
+    this.env.dryRunPlan = this.env.dryRunPlan || {
+      commands: [],
+      files: new Map()
+    };
+
+    this._plan = this.env.dryRunPlan;
+
+    // Files are taken out of the commit, so nothing reaches the disk
+    this.registerTransformStream(new Transform({
+      objectMode: true,
+      transform: (file, encoding, done) => {
+        if (file.conflicter !== 'skip') {
+          this._plan.files.set(file.path, file.state === 'deleted'
+            ? 'delete'
+            : fs.existsSync(file.path) ? 'update' : 'create');
+        }
+
+        delete file.state;
+        done();
+      }
+    }));
+
+    this.env.runLoop.add(
+      'end',
+      done => {
+        this._printPlan();
+        done();
+      },
+      {
+        once: 'print dry run',
+        run: false
+      }
+    );
+  }
+
+  _printPlan() {
+    const files = [...this._plan.files].map(([filePath, action]) => ({
+      path: relative(this.destinationRoot(), filePath).split(sep).join('/'),
+      action
+    }));
+
+    const directories = getDirectories(files.filter(file => file.action === 'create').map(file => file.path))
+      .filter(directory => !fs.existsSync(this.destinationPath(directory)));
+
+    if (this.options['plan-format'] === 'json') {
+      console.log(JSON.stringify({ files, directories, commands: this._plan.commands }, null, 2));
+
+      return;
+    }
+
+    this.log(`Dry run, nothing has been written to ${this.destinationRoot()}`);
+    this.log('');
+    formatFileTree(files, directories).forEach(line => this.log(line));
+
+    if (this._plan.commands.length) {
+      this.log('');
+      this.log('Commands:');
+      this._plan.commands.forEach(command => this.log(`  ${command}`));
+    }
+  }
+
+  spawnCommand(command, args = [], options) {
+    if (!this._plan) {
+      return super.spawnCommand(command, args, options);
+    }
+
+    this._plan.commands.push([command, ...args].join(' '));
+
+    // Stands in for the child process, which exits right away
+    const child = new EventEmitter();
+
+    process.nextTick(() => child.emit('exit', 0));
+
+    return child;
+  }
+
+  spawnCommandSync(command, args = [], options) {
+    if (!this._plan) {
+      return super.spawnCommandSync(command, args, options);
+    }
+
+    this._plan.commands.push([command, ...args].join(' '));
+
+    return {
+      status: 0,
+      stdout: '',
+      stderr: ''
+    };
+  }
+
+  _getQuestions(names) {
+    const questions = getQuestions(this);
+
+    return names
+      ? questions.filter(question => names.includes(question.name))
+      : questions;
+  }
+
+  // Every question can be answered from the command-line, e.g. --package-manager=yarn
+  _registerFlags(questions) {
+    questions.filter(question => question.type !== 'loop').forEach(question => {
+      this.option(
+        getFlagName(question.name),
+        {
+          desc: question.type === 'checkbox'
+            ? `${question.message} (comma-separated)`
+            : question.message,
+          type: question.type === 'confirm'
+            ? Boolean
+            : String
+        }
+      );
+    });
+  }
+
+  async _getPresets(questions) {
+    return {
+      ...(this.options.answers ? await readAnswersFile(this.options.answers) : {}),
+      ...getFlagAnswers(questions, this.options)
+    };
+  }
+
+  async _ask(questions, answers = {}, presets) {
+    presets = presets || await this._getPresets(questions);
+
+    // Questions are asked one by one, so preset answers can be mixed with prompts
+    for (const question of questions) {
+      if (typeof question.when === 'function' && !(await question.when(answers))) continue;
+
+      if (question.type === 'loop') {
+        answers[question.name] = await this._askLoop(question, presets[question.name]);
+      } else if (typeof presets[question.name] !== 'undefined') {
+        answers[question.name] = await parseAnswer(question, presets[question.name], answers);
+      } else if (this.options.yes) {
+        answers[question.name] = await getDefaultAnswer(question, answers);
+      } else {
+        const prompt = { ...question };
+
+        delete prompt.when;
+
+        // Inquirer only passes on answers of the current prompt, so we add the previous ones
+        ['choices', 'default', 'message'].forEach(key => {
+          if (typeof question[key] === 'function') {
+            prompt[key] = currentAnswers => question[key]({ ...answers, ...currentAnswers });
+          }
+        });
+
+        ['filter', 'validate'].forEach(key => {
+          if (typeof question[key] === 'function') {
+            prompt[key] = (input, currentAnswers) => question[key](input, { ...answers, ...currentAnswers });
+          }
+        });
+
+        Object.assign(answers, await this.prompt([prompt]));
+      }
+    }
+
+    return answers;
+  }
+
+  // Loops collect a list of items, each of them answering the same set of questions
+  async _askLoop(question, presets) {
+    if (typeof presets !== 'undefined') {
+      if (!Array.isArray(presets)) {
+        throw Error(`Invalid answer for '${question.name}': expected a list`);
+      }
+
+      const items = [];
+
+      for (const preset of presets) {
+        items.push(await this._ask(question.questions, {}, preset));
+      }
+
+      return items;
+    }
+
+    const items = [];
+
+    if (this.options.yes) {
+      return items;
+    }
+
+    while ((await this.prompt([{
+      type: 'confirm',
+      name: 'repeat',
+      message: items.length ? question.repeatMessage : question.message,
+      default: false
+    }])).repeat) {
+      items.push(await this._ask(question.questions, {}, {}));
+    }
+
+    return items;
+  }
+
+  _saveProject(props) {
+    projectKeys.forEach(key => {
+      if (typeof props[key] !== 'undefined') this.config.set(key, props[key]);
+    });
+  }
+
+  // Reads the package created by the app generator, falls back to its files when .yo-rc.json is missing
+  _getProject() {
+    const manifest = this.fs.readJSON(this.destinationPath('package.json'));
+
+    if (!manifest) {
+      throw Error('No package.json found, please run this generator inside an existing package');
+    }
+
+    const config = this.config.getAll();
+    const repositoryURL = typeof manifest.repository === 'object'
+      ? manifest.repository.url
+      : manifest.repository;
+
+    const language = config.language || [
+      ['typescript', 'src/main.ts'],
+      ['javascript', 'src/main.js'],
+      ['coffeescript', 'src/main.coffee']
+    ].find(([, mainFile]) => this.fs.exists(this.destinationPath(mainFile)))?.[0];
+
+    const bundler = config.bundler || [
+      ['rollup', 'rollup.config.js'],
+      ['webpack', 'webpack.config.js'],
+      ['esbuild', 'esbuild.config.mjs']
+    ].find(([, configFile]) => this.fs.exists(this.destinationPath(configFile)))?.[0]
+      || (manifest.targets ? 'parcel' : undefined)
+      || (language ? 'none' : undefined);
+
+    const features = config.features || [
+      ...(language ? ['code'] : []),
+      ...['grammars', 'keymaps', 'menus', 'snippets', 'styles'].filter(feature => fs.existsSync(this.destinationPath(feature)))
+    ];
+
+    const author = config.author || repositoryURL?.match(/github\.com[/:]([^/]+)\//)?.[1] || '';
+
+    return {
+      activationHooks: [],
+      addConfig: [],
+      additionalDependencies: [],
+      ...config,
+      author,
+      bundler,
+      className: pascalCase(manifest.name.replace('-', ' ')),
+      description: manifest.description,
+      features,
+      language,
+      manifest,
+      name: manifest.name,
+      packageManager: config.packageManager || this._detectPackageManager(),
+      repositoryName: manifest.name.startsWith('atom-')
+        ? manifest.name
+        : `atom-${manifest.name}`,
+      testRunner: config.testRunner || (manifest.atomTestRunner
+        ? 'mocha'
+        : fs.existsSync(this.destinationPath('spec')) ? 'jasmine' : 'none'),
+      workspace: this._getWorkspace()
+    };
+  }
+
+  // Keymaps and menus of existing packages bind one of their commands
+  _getBindingQuestions() {
+    return [
+      {
+        type: 'list',
+        name: 'command',
+        message: 'Which command do you want to bind?',
+        choices: answers => this._getPackageCommands(answers)
+      }
+    ];
+  }
+
+  async _askBinding(questions = this._getBindingQuestions()) {
+    const project = this._getProject();
+
+    if (!this._getPackageCommands(project).length) {
+      throw Error('Could not find a command of the package, please add one with the command sub-generator first');
+    }
+
+    return this._ask(questions, project);
+  }
+
+  _getPackageCommands(props) {
+    const mainSource = props.language
+      ? this.fs.read(this.destinationPath(getDestinationPath('src/main.ejs', props.language)), { defaults: '' })
+      : '';
+
+    return getPackageCommands(props.name, props.manifest, mainSource);
+  }
+
+  // One client per registry, so validations share their lookups
+  _getRegistry(targetEditor) {
+    const registryURL = this.options['package-registry'] || getEditors(targetEditor)[0].registryURL;
+
+    this._registries = this._registries || {};
+
+    if (!this._registries[registryURL]) {
+      this._registries[registryURL] = createRegistryClient({
+        registryURL,
+        warn: message => this.log(`⚠ ${message}`)
+      });
+    }
+
+    return this._registries[registryURL];
+  }
+
+  // Packages inside of a monorepo leave repository-level files to the workspace root
+  _getWorkspace() {
+    if (typeof this._workspace === 'undefined') {
+      this._workspace = this._findWorkspace() || null;
+    }
+
+    return this._workspace;
+  }
+
+  _findWorkspace() {
+    const packageDir = this.destinationRoot();
+    const toPosix = filePath => filePath.split(sep).join('/');
+    let rootDir = pkgDir.sync(dirname(packageDir));
+
+    while (rootDir) {
+      const manifest = this.fs.readJSON(join(rootDir, 'package.json'), {});
+
+      if (manifest.workspaces) {
+        const configs = Object.fromEntries(Object.entries(workspaceConfigs).map(([name, fileNames]) => {
+          const configPath = fileNames
+            .map(fileName => join(rootDir, fileName))
+            .find(filePath => this.fs.exists(filePath));
+
+          return [name, configPath && toPosix(relative(packageDir, configPath))];
+        }));
+
+        return {
+          configs,
+          manifest,
+          packagePath: toPosix(relative(rootDir, packageDir)),
+          root: rootDir
+        };
+      }
+
+      rootDir = dirname(rootDir) !== rootDir
+        ? pkgDir.sync(dirname(rootDir))
+        : undefined;
+    }
+  }
+
+  _detectPackageManager() {
+    if (this.fs.exists(this.destinationPath('yarn.lock'))) {
+      return this.fs.exists(this.destinationPath('.yarnrc.yml'))
+        ? 'yarn-berry'
+        : 'yarn';
+    }
+
+    return [
+      ['bun', 'bun.lock'],
+      ['bun', 'bun.lockb'],
+      ['pnpm', 'pnpm-lock.yaml']
+    ].find(([, lockfile]) => this.fs.exists(this.destinationPath(lockfile)))?.[0] || 'npm';
+  }
+
+  _addFeature(props, feature, filePath) {
+    if (!props.features.includes(feature)) props.features.push(feature);
+
+    this.config.set('features', props.features);
+    this._extendScripts(props);
+
+    // Atom loads all files of a feature folder, unless the manifest lists them
+    if (filePath && Array.isArray(props.manifest[feature])) {
+      this._extendManifest({
+        [feature]: [basename(filePath)]
+      });
+    }
+  }
+
+  // Adds the scripts and lint-staged tasks of all selected features
+  _extendScripts(props) {
+    const { scripts, 'lint-staged': lintStaged } = composeManifest(props);
+
+    this._extendManifest({
+      scripts,
+      'lint-staged': lintStaged
+    });
+  }
+
+  _extendManifest(additions) {
+    const manifest = this.fs.readJSON(this.destinationPath('package.json'), {});
+
+    this.fs.writeJSON(this.destinationPath('package.json'), mergeManifest(manifest, additions));
+    this._forceWrite('package.json');
+  }
+
+  // Updates a JSON or CSON file, leading comments of CSON files are kept
+  _updateDataFile(filePath, update) {
+    const contents = this.fs.read(this.destinationPath(filePath));
+
+    if (extname(filePath) === '.cson') {
+      const [header] = contents.match(/^(#.*\n|\n)*/);
+
+      this.fs.write(this.destinationPath(filePath), `${header}${CSON.stringify(update(CSON.parse(contents)), null, 2)}\n`);
+    } else {
+      this.fs.writeJSON(this.destinationPath(filePath), update(JSON.parse(contents)));
+    }
+
+    this._forceWrite(filePath);
+  }
+
+  // Merging keeps user-defined values, so there's no need to resolve a conflict
+  _forceWrite(filePath) {
+    this.fs.store.get(this.destinationPath(filePath)).conflicter = 'force';
+  }
+
+  _getMissingDependencies(props) {
+    const manifest = this.fs.readJSON(this.destinationPath('package.json'), {});
+    const isMissing = installed => dependency => !Object.keys(installed || {}).includes(dependency.replace(/(?!^)@.*$/, ''));
+
+    const [dependencies, devDependencies] = getDependencies(props)
+      .map(list => [].concat(...list));
+
+    return [
+      dependencies.filter(isMissing(manifest.dependencies)),
+      devDependencies.filter(isMissing(manifest.devDependencies))
+    ];
+  }
+
+  // Only installs dependencies that are missing from the manifest
+  _installMissing(props) {
+    const [missingDependencies, missingDevDependencies] = this._getMissingDependencies(props);
+
+    this._extendManifest({
+      dependencies: pinDependencies(missingDependencies),
+      devDependencies: pinDependencies(missingDevDependencies)
+    });
+
+    this._installDependencies(props.packageManager, [missingDependencies, missingDevDependencies]);
+  }
+
+  // Pinned dependencies are already listed in the manifest, the package manager adds the others
+  _installDependencies(packageManager, [dependencies, devDependencies]) {
+    if (!dependencies.length && !devDependencies.length) return;
+
+    const unpinnedDependencies = getUnpinnedDependencies(dependencies);
+    const unpinnedDevDependencies = getUnpinnedDependencies(devDependencies);
+
+    this._scheduleCommand(getPackageManager(packageManager).command, ['install']);
+
+    if (unpinnedDependencies.length) this._installPackages(packageManager, unpinnedDependencies, { ignoreScripts: true });
+    if (unpinnedDevDependencies.length) this._installPackages(packageManager, unpinnedDevDependencies, { dev: true });
+  }
+
+  // Yeoman's install helpers only know npm and Yarn Classic, and pass their flags to all package managers
+  _installPackages(packageManager, packages, options = {}) {
+    const { command, addCommand, devFlag, ignoreScriptsFlag } = getPackageManager(packageManager);
+
+    this._scheduleCommand(command, [
+      addCommand,
+      ...packages,
+      ...(options.dev ? [devFlag] : []),
+      ...(options.ignoreScripts ? [ignoreScriptsFlag] : [])
+    ]);
+  }
+
+  // Runs in the install queue, once all files have been written
+  _scheduleCommand(command, args) {
+    if (this.options.skipInstall || this.options['skip-install']) {
+      this.log(`Skipping install command: ${command} ${args.join(' ')}`);
+
+      return;
+    }
+
+    this.env.runLoop.add(
+      'install',
+      done => {
+        this.spawnCommand(command, args)
+          .on('error', () => {
+            this.log(`Could not run ${command}, try running the following command manually: ${command} ${args.join(' ')}`);
+            done();
+          })
+          .on('exit', () => done());
+      },
+      {
+        once: `${command} ${args.join(' ')}`,
+        run: false
+      }
+    );
+  }
+
+  // Existing keymaps and menus, in either format
+  _findFeatureFile(props, feature) {
+    return [`${feature}/${props.name}.cson`, `${feature}/${props.name}.json`]
+      .find(filePath => this.fs.exists(this.destinationPath(filePath)));
+  }
+
+  // Keymaps and menus bind a command the package registers, e.g. toggle, existing ones are extended
+  _writeKeymap(props, command, keystroke = 'ctrl-alt-o') {
+    const existingFile = this._findFeatureFile(props, 'keymaps');
+
+    if (existingFile) {
+      this._updateDataFile(existingFile, keymap => addKeybinding(keymap, 'atom-workspace', keystroke, `${props.name}:${command}`));
+
+      return existingFile;
+    }
+
+    const [template, filePath] = props.language === 'coffeescript'
+      ? ['coffeescript/keymaps/keymap.cson.ejs', `keymaps/${props.name}.cson`]
+      : ['shared/keymaps/keymap.json.ejs', `keymaps/${props.name}.json`];
+
+    this.fs.copyTpl(
+      this.templatePath(template),
+      this.destinationPath(filePath),
+      {
+        pkg: props,
+        command,
+        keystroke
+      }
+    );
+
+    return filePath;
+  }
+
+  _writeMenu(props, command) {
+    const existingFile = this._findFeatureFile(props, 'menus');
+
+    if (existingFile) {
+      this._updateDataFile(existingFile, menus => addMenuItem(menus, {
+        name: props.name,
+        commandName: `${props.name}:${command}`,
+        commandLabel: capitalCase(command),
+        commandSelector: 'atom-text-editor',
+        commandMenus: ['context-menu', 'menu']
+      }));
+
+      return existingFile;
+    }
+
+    const [template, filePath] = props.language === 'coffeescript'
+      ? ['coffeescript/menus/menu.cson.ejs', `menus/${props.name}.cson`]
+      : ['shared/menus/menu.json.ejs', `menus/${props.name}.json`];
+
+    this.fs.copyTpl(
+      this.templatePath(template),
+      this.destinationPath(filePath),
+      {
+        pkg: props,
+        command,
+        label: capitalCase(command)
+      }
+    );
+
+    return filePath;
+  }
+
+  _writeGrammar(props) {
+    const grammarFormat = props.language === 'coffeescript'
+      ? 'cson'
+      : 'json';
+
+    const grammar = {
+      grammarSlug: slugify(props.grammarName),
+      grammarScopeSuffix: props.grammarScope.replace(/^(source|text)\./, ''),
+      grammarFileTypes: props.grammarFileTypes
+        .split(',')
+        .map(fileType => fileType.trim())
+        .filter(fileType => fileType.length)
+    };
+
+    const [grammarTemplate, grammarFile] = props.grammarType === 'tree-sitter'
+      ? ['tree-sitter', `tree-sitter-${grammar.grammarSlug}`]
+      : ['grammar', grammar.grammarSlug];
+
+    const filePath = `grammars/${grammarFile}.${grammarFormat}`;
+
+    this.fs.copyTpl(
+      this.templatePath(`${grammarFormat === 'cson' ? 'coffeescript' : 'shared'}/grammars/${grammarTemplate}.${grammarFormat}.ejs`),
+      this.destinationPath(filePath),
+      {
+        pkg: {
+          ...props,
+          ...grammar
+        }
+      }
+    );
+
+    return filePath;
+  }
+
+  _writeSnippets(props) {
+    const [template, filePath] = props.language === 'coffeescript'
+      ? ['coffeescript/snippets/snippets.cson.ejs', `snippets/${props.name}.cson`]
+      : ['shared/snippets/snippets.json.ejs', `snippets/${props.name}.json`];
+
+    this.fs.copyTpl(
+      this.templatePath(template),
+      this.destinationPath(filePath),
+      {
+        snippets: composeSnippets(props),
+        indentation: 2
+      }
+    );
+
+    return filePath;
+  }
+
+  _writeSpecs(props) {
+    const filePath = getDestinationPath(`spec/${props.name}-spec.ejs`, props.language);
+
+    this.fs.copyTpl(
+      this.templatePath(`${props.language}/spec/${props.testRunner}-spec.ejs`),
+      this.destinationPath(filePath),
+      {
+        pkg: props
+      }
+    );
+
+    // Atom's Jasmine runner picks up specs by itself, Mocha needs to know their suffix
+    if (props.testRunner === 'mocha') {
+      this.fs.copyTpl(
+        this.templatePath('shared/spec/runner.js.ejs'),
+        this.destinationPath('spec/runner.js'),
+        {
+          extension: extname(filePath).slice(1)
+        }
+      );
+    }
+
+    return filePath;
+  }
+
+  // Stylesheets and stylelint configurations of existing packages belong to the user
+  _writeStyles(props) {
+    const filePath = `styles/${props.name}.less`;
+
+    if (!this.fs.exists(this.destinationPath(filePath))) {
+      this.fs.copyTpl(
+        this.templatePath('shared/styles/style.less.ejs'),
+        this.destinationPath(filePath),
+        {
+          pkg: props
+        }
+      );
+    }
+
+    this._writeStylelintrc(props);
+
+    return filePath;
+  }
+
+  // Atom loads the index.less of a theme, the variables are imported by other packages
+  _writeTheme(props) {
+    const templateDir = `shared/styles/${props.packageKind}`;
+
+    this.fs.copy(
+      this.templatePath(`${templateDir}/index.less`),
+      this.destinationPath('index.less')
+    );
+
+    ['base.less', 'colors.less', 'editor.less', `${getThemeType(props)}-variables.less`].forEach(fileName => {
+      this.fs.copy(
+        this.templatePath(`${templateDir}/${fileName}`),
+        this.destinationPath(`styles/${fileName}`)
+      );
+    });
+
+    this._writeStylelintrc(props);
+  }
+
+  _writeStylelintrc(props) {
+    if (this.fs.exists(this.destinationPath('.stylelintrc'))) return;
+
+    this.fs.copyTpl(
+      this.templatePath('shared/_stylelintrc.ejs'),
+      this.destinationPath('.stylelintrc'),
+      {
+        pkg: props
+      }
+    );
+  }
+
+  _writeCI(props) {
+    // CI installs with the lockfile of the chosen package manager, specs need a display and run in
+    // the editor under xvfb
+    const ciData = {
+      editors: getEditors(props.targetEditor),
+      // Services other than GitHub Actions create releases through the API
+      githubRelease: getReleaseTool(props)?.trigger === 'tag'
+        ? tag => `curl -fsS -X POST -H "Authorization: Bearer $GITHUB_TOKEN" -H "Accept: application/vnd.github+json" https://api.github.com/repos/${props.author}/${props.repositoryName}/releases -d "{\\"tag_name\\": \\"${tag}\\", \\"generate_release_notes\\": true}"`
+        : null,
+      nodeVersions: ciNodeVersions,
+      packageManager: props.packageManager || 'npm',
+      pm: getPackageManager(props.packageManager),
+      release: props.ciRelease === true ? 'tag' : getReleaseTool(props)?.trigger,
+      runSpecs: props.features?.includes('code') && ['jasmine', 'mocha'].includes(props.testRunner)
+    };
+
+    if (props.addConfig?.includes('azurePipelines')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/azure-pipelines.yml'),
+        this.destinationPath('azure-pipelines.yml'),
+        ciData
+      );
+    }
+
+    if (props.addConfig?.includes('bitbucketPipelines')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/bitbucket-pipelines.yml'),
+        this.destinationPath('bitbucket-pipelines.yml'),
+        ciData
+      );
+    }
+
+    if (props.addConfig?.includes('circleCI')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/circleci.yml'),
+        this.destinationPath('.circleci/config.yml'),
+        ciData
+      );
+    }
+
+    if (props.addConfig?.includes('githubActions')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/github-actions.yml'),
+        this.destinationPath('.github/workflows/nodejs.yml'),
+        ciData
+      );
+    }
+
+    if (props.addConfig?.includes('gitlabCI')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/gitlab-ci.yml'),
+        this.destinationPath('.gitlab-ci.yml'),
+        ciData
+      );
+    }
+
+    if (props.addConfig?.includes('travisCI')) {
+      this.fs.copyTpl(
+        this.templatePath('shared/ci/travis.yml'),
+        this.destinationPath('.travis.yml'),
+        ciData
+      );
+    }
+  }
+};
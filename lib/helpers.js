@@ -1,10 +1,15 @@
 const { access, constants } = require('fs');
 const { basename, dirname, extname, join, resolve } = require('path');
 const { promisify } = require('util');
+const { camelCase, capitalCase, constantCase, paramCase, pascalCase } = require('change-case');
 const pkgDir = require('pkg-dir');
+const prettier = require('prettier');
 const spdxLicenseList = require('spdx-license-list/full');
 const terminalLink = require('terminal-link');
 
+const { parsePackage } = require('./registry');
+const versions = require('./versions.json');
+
 const accessAsync = promisify(access);
 
 // Create array of license choices
@@ -43,7 +48,7 @@ async function getTemplatePath(filePath, selectedLanguage) {
   if (await fileExists(languagePath)) {
     return join(selectedLanguage, filePath);
   } else if (await fileExists(sharedPath)) {
-    return join(sharedPath, filePath);
+    return join('shared', filePath);
   } else {
     throw Error(`No template file found for ${filePath}`);
   }
@@ -69,11 +74,129 @@ function getDestinationPath(filePath, selectedLanguage) {
   }
 }
 
+// CLIs, registries, folders and Linux packages of the supported editors, Atom's last release is
+// only available from GitHub
+const editors = {
+  'atom': {
+    name: 'Atom',
+    command: 'atom',
+    cli: 'apm',
+    packagesDir: '.atom/packages',
+    packagesURL: 'https://atom.io/packages',
+    registryURL: 'https://atom.io/api/packages',
+    debURL: 'https://github.com/atom/atom/releases/download/v1.60.0/atom-amd64.deb'
+  },
+  'pulsar': {
+    name: 'Pulsar',
+    command: 'pulsar',
+    cli: 'ppm',
+    packagesDir: '.pulsar/packages',
+    packagesURL: 'https://web.pulsar-edit.dev/packages',
+    registryURL: 'https://api.pulsar-edit.dev/api/packages',
+    debURL: 'https://download.pulsar-edit.dev/?os=linux&type=linux_deb'
+  }
+};
+
+// Pulsar comes first, its registry also serves the packages published for Atom
+function getEditors(targetEditor) {
+  return targetEditor === 'both'
+    ? [editors.pulsar, editors.atom]
+    : [editors[targetEditor || 'atom']];
+}
+
+// Commands and files that differ between package managers. Some CI services only cache folders of
+// the project, so there's a project cache as well
+const packageManagers = {
+  'bun': {
+    command: 'bun',
+    addCommand: 'add',
+    devFlag: '--dev',
+    ignoreScriptsFlag: '--ignore-scripts',
+    ciInstall: 'bun install --frozen-lockfile',
+    exec: 'bunx',
+    run: 'bun run',
+    lockfile: 'bun.lock',
+    cacheDir: '~/.bun/install/cache',
+    projectCacheDir: '.bun-cache',
+    projectCacheCommand: 'export BUN_INSTALL_CACHE_DIR="$PWD/.bun-cache"',
+    cacheFlags: ['--cache-dir']
+  },
+  'npm': {
+    command: 'npm',
+    addCommand: 'install',
+    devFlag: '--save-dev',
+    ignoreScriptsFlag: '--ignore-scripts',
+    ciInstall: 'npm ci',
+    exec: 'npx',
+    run: 'npm run',
+    lockfile: 'package-lock.json',
+    cacheDir: '~/.npm',
+    projectCacheDir: '.npm',
+    projectCacheCommand: 'npm config set cache "$PWD/.npm"',
+    cacheFlags: ['--offline', '--cache']
+  },
+  'pnpm': {
+    command: 'pnpm',
+    addCommand: 'add',
+    devFlag: '--save-dev',
+    ignoreScriptsFlag: '--ignore-scripts',
+    ciInstall: 'pnpm install --frozen-lockfile',
+    exec: 'pnpm exec',
+    run: 'pnpm run',
+    lockfile: 'pnpm-lock.yaml',
+    cacheDir: '~/.local/share/pnpm/store',
+    projectCacheDir: '.pnpm-store',
+    projectCacheCommand: 'pnpm config set store-dir "$PWD/.pnpm-store"',
+    cacheFlags: ['--offline', '--store-dir']
+  },
+  'yarn': {
+    command: 'yarn',
+    addCommand: 'add',
+    devFlag: '--dev',
+    ignoreScriptsFlag: '--ignore-scripts',
+    ciInstall: 'yarn install --frozen-lockfile',
+    exec: 'yarn',
+    run: 'yarn run',
+    lockfile: 'yarn.lock',
+    cacheDir: '~/.cache/yarn',
+    projectCacheDir: '.yarn-cache',
+    projectCacheCommand: 'yarn config set cache-folder "$PWD/.yarn-cache"',
+    cacheFlags: ['--offline', '--cache-folder']
+  },
+  // Yarn 2+ has no option to skip lifecycle scripts, but can skip building packages. Its cache and
+  // registry can only be configured through the environment
+  'yarn-berry': {
+    command: 'yarn',
+    addCommand: 'add',
+    devFlag: '--dev',
+    ignoreScriptsFlag: '--mode=skip-build',
+    ciInstall: 'yarn install --immutable',
+    exec: 'yarn',
+    run: 'yarn run',
+    lockfile: 'yarn.lock',
+    cacheDir: '~/.yarn/berry/cache',
+    projectCacheDir: '.yarn/cache',
+    projectCacheCommand: 'export YARN_ENABLE_GLOBAL_CACHE=false'
+  }
+};
+
+// Packages without code don't ask for a package manager
+function getPackageManager(packageManager) {
+  return packageManagers[packageManager || 'npm'];
+}
+
+// Lockfiles of other package managers, a mix of them breaks reproducible installs
+function getForeignLockfiles(packageManager) {
+  const { lockfile } = getPackageManager(packageManager);
+
+  return [...new Set(Object.values(packageManagers).map(manager => manager.lockfile))]
+    .filter(foreignLockfile => foreignLockfile !== lockfile)
+    .sort();
+}
+
 function getDependencies(props) {
   let dependencies = [];
   let devDependencies = [
-    'husky',
-    'lint-staged',
     'jsonlint',
     'npm-run-all',
     'prettierx',
@@ -81,6 +204,16 @@ function getDependencies(props) {
     'stylelint'
   ];
 
+  if (getGitHookManager(props)) {
+    devDependencies.push(getGitHookManager(props).dependency);
+
+    if (props.commitlint) devDependencies.push('@commitlint/cli', '@commitlint/config-conventional');
+  }
+
+  if (usesLintStaged(props)) {
+    devDependencies.push('lint-staged');
+  }
+
   if (props.bundler === 'webpack') {
     devDependencies.push(
       'sass-loader',
@@ -104,28 +237,39 @@ function getDependencies(props) {
 
     if (props.language === 'coffeescript') devDependencies.push('rollup-plugin-coffee-script');
     if (props.language === 'typescript') devDependencies.push('@rollup/plugin-typescript');
+  } else if (props.bundler === 'esbuild') {
+    devDependencies.push(
+      'esbuild',
+      'esbuild-sass-plugin',
+      'sass-embedded'
+    );
+
+    if (props.language === 'coffeescript') devDependencies.push('esbuild-coffeescript');
+  } else if (props.bundler === 'parcel') {
+    devDependencies.push(
+      'parcel',
+      '@parcel/transformer-sass'
+    );
+
+    if (props.language === 'coffeescript') devDependencies.push('@parcel/transformer-coffeescript');
   }
 
   if (props.additionalDependencies && props.additionalDependencies.length) {
-    devDependencies.push(props.additionalDependencies.map(additionalDependency => additionalDependency));
+    devDependencies.push(...props.additionalDependencies);
   }
 
   switch (props.language) {
     case 'coffeescript':
       devDependencies.push(
-        'coffeelint@2',
-        'coffeescript@2'
+        'coffeelint',
+        'coffeescript'
       );
 
       break;
 
     case 'javascript':
       devDependencies.push(
-        '@babel/core',
         '@babel/eslint-parser',
-        '@babel/plugin-proposal-export-namespace-from',
-        '@babel/preset-env',
-        'core-js@3',
         'eslint-plugin-json',
         'eslint-plugin-node',
         'eslint',
@@ -133,24 +277,17 @@ function getDependencies(props) {
       );
 
       if (props.bundler === 'webpack') devDependencies.push('babel-loader');
-
-      if (props.babelPresets?.length) {
-        devDependencies.push(props.babelPresets.map(preset => preset));
-      }
+      if (props.bundler === 'none') devDependencies.push('@babel/cli');
 
       break;
 
     case 'typescript':
       devDependencies.push(
-        '@babel/core',
         '@babel/eslint-parser',
-        '@babel/plugin-proposal-export-namespace-from',
-        '@babel/preset-env',
         '@types/atom',
         '@types/node',
         '@typescript-eslint/eslint-plugin',
         '@typescript-eslint/parser',
-        'core-js@3',
         'eslint',
         `eslint-config-${props.eslintConfig}`,
         'eslint-plugin-json',
@@ -163,8 +300,58 @@ function getDependencies(props) {
       break;
   }
 
+  if (usesBabel(props)) {
+    devDependencies.push(
+      '@babel/core',
+      '@babel/plugin-proposal-export-namespace-from',
+      '@babel/preset-env',
+      'core-js'
+    );
+
+    if (props.babelPresets?.length) {
+      devDependencies.push(...props.babelPresets);
+    }
+  }
+
+  if (props.features.includes('code') && getWorkspaceViews(props).length) {
+    switch (props.viewFramework) {
+      case 'etch':
+        dependencies.push('etch');
+        break;
+
+      case 'react':
+        dependencies.push('react', 'react-dom');
+
+        if (props.language === 'typescript') devDependencies.push('@types/react', '@types/react-dom');
+        break;
+    }
+  }
+
+  // Atom ships with Jasmine, Mocha needs its own runner
+  if (props.features.includes('code') && props.testRunner === 'mocha') {
+    devDependencies.push(
+      'atom-mocha-test-runner',
+      'chai'
+    );
+
+    if (props.language === 'typescript') devDependencies.push('@types/chai', '@types/mocha');
+  }
+
+  if (props.features.includes('code') && props.packageType === 'linter') {
+    dependencies.push('atom-package-deps');
+  }
+
+  if (props.features.includes('grammars') && props.grammarType === 'tree-sitter') {
+    dependencies.push(props.grammarParser);
+  }
+
+  if (getReleaseTool(props)) {
+    devDependencies.push(...getReleaseTool(props).dependencies);
+  }
+
   if (props.features.includes('styles')) {
     devDependencies.push(
+      'postcss-less',
       'stylelint',
       `stylelint-config-${props.stylelintConfig}`
     );
@@ -176,6 +363,25 @@ function getDependencies(props) {
   ];
 }
 
+// Tested version ranges, so a new major version of a dependency doesn't break generated packages
+function pinDependencies(dependencies) {
+  return Object.fromEntries(dependencies
+    .filter(dependency => versions[dependency])
+    .map(dependency => [dependency, versions[dependency]]));
+}
+
+// Dependencies without a tested version, e.g. Tree-sitter parsers, are resolved by the package manager
+function getUnpinnedDependencies(dependencies) {
+  return dependencies.filter(dependency => !versions[dependency]);
+}
+
+// Package specifiers for the add command, e.g. eslint@^8.51.0
+function getPackageSpecs(dependencies) {
+  return dependencies.map(dependency => versions[dependency]
+    ? `${dependency}@${versions[dependency]}`
+    : dependency);
+}
+
 function getLanguageExtension(selectedLanguage) {
   switch (selectedLanguage.toLowerCase()) {
     case 'typescript':
@@ -204,13 +410,176 @@ function getActivationHooks(props) {
           : `${props.rootScopeUsed}:root-scope-used`;
 
       case 'grammar-used':
-        return props.grammarUsed.endsWith(':root-scope-used')
+        return props.grammarUsed.endsWith(':grammar-used')
           ? props.grammarUsed
           : `${props.grammarUsed}:grammar-used`;
     }
   });
 }
 
+// Command registered by the package type, also used as activation command
+function getPresetCommand(props) {
+  switch (props.packageType) {
+    case 'hello-world':
+      return 'hello-world';
+
+    case 'dock':
+      return 'toggle';
+
+    default:
+      return undefined;
+  }
+}
+
+// Commands of an existing package, from its main file and activation commands, without the package prefix
+function getPackageCommands(name, manifest, mainSource = '') {
+  const activationCommands = Object.values(manifest.activationCommands || {}).flat();
+  const registeredCommands = [...mainSource.matchAll(/['"]([a-z0-9-]+:[a-z0-9-]+)['"]/g)].map(match => match[1]);
+
+  return [...new Set([...activationCommands, ...registeredCommands])]
+    .filter(command => command?.startsWith(`${name}:`))
+    .map(command => command.slice(name.length + 1))
+    .sort();
+}
+
+function getWorkspaceOpeners(props) {
+  const workspaceOpeners = props.workspaceOpenerURIs
+    ? props.workspaceOpenerURIs.split(',').map(uri => uri.trim()).filter(uri => uri.length)
+    : [];
+
+  return props.packageType === 'dock'
+    ? [...new Set([`atom://${props.name}`, ...workspaceOpeners])]
+    : workspaceOpeners;
+}
+
+// Views opened through workspace URIs, the dock item has its own
+function getWorkspaceViews(props) {
+  return getWorkspaceOpeners(props)
+    .filter(uri => props.packageType !== 'dock' || uri !== `atom://${props.name}`)
+    .map(uri => {
+      const [host, ...path] = uri.replace(/^atom:\/\//, '').split('/').filter(segment => segment.length);
+      const slug = paramCase(path.length ? path.join(' ') : host);
+      const className = `${pascalCase(slug)}View`;
+
+      return {
+        uri,
+        title: capitalCase(slug),
+        fileName: `${slug}-view`,
+        className,
+        componentName: pascalCase(slug),
+        constantName: constantCase(`${slug}-view-uri`),
+        command: `open-${slug}`,
+        deserializer: `${pascalCase(props.name)}${className}`,
+        deserializeMethod: `deserialize${className}`
+      };
+    });
+}
+
+// Package state is passed to activate(), only views opened in the workspace are deserialized by Atom
+function getDeserializers(props) {
+  const deserializers = getWorkspaceViews(props).map(view => [view.deserializer, view.deserializeMethod]);
+
+  return deserializers.length
+    ? Object.fromEntries(deserializers)
+    : undefined;
+}
+
+// Services with typings in @types/atom
+const serviceTypes = {
+  'autocomplete.provider': ['AutocompleteProvider', 'atom/autocomplete-plus'],
+  'linter': ['LinterProvider', 'atom/linter'],
+  'status-bar': ['StatusBar', 'atom/status-bar'],
+  'tool-bar': ['getToolBarManager', 'atom/tool-bar']
+};
+
+// Services implemented by the source of each package type
+const presetServices = {
+  'autocomplete': {
+    provided: ['autocomplete.provider@4.0.0']
+  },
+  'linter': {
+    provided: ['linter@2.0.0']
+  },
+  'status-bar': {
+    consumed: ['status-bar@^1.0.0']
+  }
+};
+
+// Splits "name@version" entries into what templates and the manifest need
+function getServices(props) {
+  const services = {};
+
+  ['consumed', 'provided'].forEach(direction => {
+    const presetEntries = presetServices[props.packageType]?.[direction] || [];
+    const entries = [
+      ...presetEntries,
+      ...(props[`${direction}Services`] || [])
+    ];
+
+    services[direction] = entries.reduce((serviceList, entry) => {
+      const separator = entry.lastIndexOf('@');
+      const name = entry.slice(0, separator);
+
+      if (serviceList.some(service => service.name === name)) {
+        return serviceList;
+      }
+
+      const [type, typeModule] = serviceTypes[name] || [`${pascalCase(name).replace(/Service$/, '')}Service`, './services'];
+
+      return serviceList.concat({
+        name,
+        version: entry.slice(separator + 1),
+        method: `${direction === 'consumed' ? 'consume' : 'provide'}${pascalCase(name)}`,
+        property: camelCase(name),
+        type,
+        typeModule,
+        preset: presetEntries.includes(entry)
+      });
+    }, []);
+  });
+
+  return services;
+}
+
+// TypeScript imports of the service types, grouped by module
+function getServiceImports(services) {
+  const imports = {};
+
+  [...services.consumed, ...services.provided].forEach(({ type, typeModule }) => {
+    imports[typeModule] = [...new Set([...(imports[typeModule] || []), type])];
+  });
+
+  return imports;
+}
+
+function composeServices(services) {
+  return services.length
+    ? Object.fromEntries(services.map(service => [
+      service.name,
+      {
+        'versions': {
+          [service.version]: service.method
+        }
+      }
+    ]))
+    : undefined;
+}
+
+// Linter providers need the Linter package to display their messages, pinned packages need a minimum version
+function getPackageDeps(props) {
+  const packageDeps = (props.atomDependencies || []).map(str => {
+    const { name, version } = parsePackage(str);
+
+    return version
+      ? { name, minimumVersion: version }
+      : name;
+  });
+
+  return props.packageType === 'linter' && !packageDeps.some(dependency => (dependency.name || dependency) === 'linter')
+    ? ['linter', ...packageDeps]
+    : packageDeps;
+}
+
 function getWatchScript(props) {
   if (!props.features.includes('code')) {
     return 'echo "Nothing to watch"';
@@ -224,6 +593,19 @@ function getWatchScript(props) {
     case 'rollup':
       return 'rollup --watch --config';
 
+    case 'esbuild':
+      return 'node esbuild.config.mjs --watch';
+
+    case 'parcel':
+      return 'parcel watch --no-hmr';
+
+    case 'none':
+      return {
+        coffeescript: 'coffee --compile --watch --inline-map --output lib src',
+        javascript: 'babel src --out-dir lib --watch --source-maps inline',
+        typescript: 'tsc --watch'
+      }[props.language];
+
     default:
       throw new Error(`Unsupported bundler '${props.bundler}'`);
   }
@@ -242,78 +624,383 @@ function getBuildScript(props) {
     case 'rollup':
       return 'rollup --config';
 
+    case 'esbuild':
+      return 'node esbuild.config.mjs';
+
+    case 'parcel':
+      return 'parcel build --no-source-maps';
+
+    case 'none':
+      return {
+        coffeescript: 'coffee --compile --output lib src',
+        javascript: 'babel src --out-dir lib',
+        typescript: 'tsc'
+      }[props.language];
+
     default:
       throw new Error(`Unsupported bundler '${props.bundler}'`);
   }
 }
 
+// esbuild and Parcel compile without Babel, without a bundler TypeScript is compiled by tsc
+function usesBabel(props) {
+  return ['rollup', 'webpack'].includes(props.bundler)
+    ? ['javascript', 'typescript'].includes(props.language)
+    : props.bundler === 'none' && props.language === 'javascript';
+}
+
+// Parcel reads its configuration from the manifest, transpilers only need their own
+function getBundlerConfig(bundler) {
+  switch (bundler) {
+    case 'esbuild':
+      return 'esbuild.config.mjs';
+
+    case 'none':
+    case 'parcel':
+      return undefined;
+
+    default:
+      return `${bundler}.config.js`;
+  }
+}
+
+// Bundles into lib/main.js, like the other bundlers
+function getParcelTargets(props) {
+  return {
+    'main': false,
+    'atom': {
+      'source': `src/main.${getLanguageExtension(props.language)}`,
+      'distDir': 'lib',
+      'context': 'node',
+      'outputFormat': 'commonjs',
+      // Atom runs on Electron 9
+      'engines': {
+        'node': '>=12'
+      },
+      'includeNodeModules': {
+        'atom': false,
+        'electron': false
+      }
+    }
+  };
+}
+
+function getTestScript(props) {
+  if (!props.features.includes('code')) {
+    return 'echo "Nothing to test"';
+  }
+
+  switch (props.testRunner) {
+    case 'jasmine':
+    case 'mocha':
+      return `${getEditors(props.targetEditor)[0].command} --test spec`;
+
+    default:
+      return 'echo \'Error: no test specified\' && exit 1';
+  }
+}
+
+// Release scripts and their packages. semantic-release versions, tags and publishes on CI, the
+// others tag locally and CI publishes the pushed tag
+const releaseTools = {
+  'changesets': {
+    dependencies: ['@changesets/cli'],
+    script: 'changeset version && git commit --all --message "Release" && changeset tag && git push --follow-tags',
+    trigger: 'tag'
+  },
+  'np': {
+    dependencies: ['np'],
+    script: 'np --no-publish --no-release-draft',
+    trigger: 'tag'
+  },
+  'semantic-release': {
+    dependencies: [
+      '@semantic-release/changelog',
+      '@semantic-release/exec',
+      '@semantic-release/git',
+      'semantic-release'
+    ],
+    script: 'semantic-release',
+    trigger: 'branch'
+  }
+};
+
+function getReleaseTool(props) {
+  return releaseTools[props.releaseTool];
+}
+
+// Atom tells themes apart by the theme field of their manifest
+function getThemeType(props) {
+  return {
+    'syntax-theme': 'syntax',
+    'ui-theme': 'ui'
+  }[props.packageKind];
+}
+
+function getTestRunner(props) {
+  return props.features.includes('code') && props.testRunner === 'mocha'
+    ? './spec/runner'
+    : undefined;
+}
+
 function composeManifest(props) {
   const fileExtension = props.features.includes('code')
     ? getLanguageExtension(props.language)
     : '';
 
+  const [dependencies, devDependencies] = getDependencies(props);
+
   return {
     'name': props.name,
     'version': '0.0.0',
     'description': props.description,
     'license': props.license,
     'private': props.private,
-    'main':  props.features.includes('code') && './lib/main',
+    'main': props.features.includes('code')
+      ? './lib/main'
+      : undefined,
+    'theme': getThemeType(props),
+    'targets': props.features.includes('code') && props.bundler === 'parcel'
+      ? getParcelTargets(props)
+      : undefined,
+    'atomTestRunner': getTestRunner(props),
     'scripts': {
         'analyze': props.features.includes('code')
           ? 'source-map-explorer lib/**/*.js'
           : 'echo "Nothing to analyze"',
         'build': getBuildScript(props),
-        'dev': 'npm run start',
+        'dev': `${getPackageManager(props.packageManager).run} start`,
         'lint:code':
           props.features.includes('code')
             ? props.language === 'coffeescript'
               ? `coffeelint ./src`
-              : `eslint --ignore-path .gitignore --no-error-on-unmatched-pattern ./src/**/*.${fileExtension}`
+              : `eslint ${props.workspace ? '' : '--ignore-path .gitignore '}--no-error-on-unmatched-pattern ./src/**/*.${fileExtension}`
             : 'echo "Nothing to lint"',
         'lint:styles': props.features.includes('styles')
-          ? 'stylelint --allow-empty-input styles/*.{css,less}'
+          ? `stylelint --allow-empty-input ${getThemeType(props) ? 'index.less ' : ''}styles/*.{css,less}`
           : 'echo "Nothing to lint"',
         'lint': `npm-run-all --parallel lint:*`,
-        'postinstall': 'husky install',
-        'prepublishOnly': 'npm run build',
+        'postinstall': getGitHookManager(props)?.installScript,
+        'prepublishOnly': `${getPackageManager(props.packageManager).run} build`,
+        'release': getReleaseTool(props)?.script,
         'start': getWatchScript(props),
-        'test': props.features.includes('code')
-          ? 'echo \'Error: no test specified\' && exit 1'
-          : 'echo "Nothing to test"'
+        'test': getTestScript(props)
     },
     'keywords': [
     ],
-    'repository': {
+    // Non-interactive runs may leave the GitHub username empty
+    'repository': props.author
+      ? {
         'type': 'git',
         'url': `https://github.com/${props.author}/${props.repositoryName}`
-    },
-    'homepage': `https://atom.io/packages/${props.name}`,
-    'bugs': {
+      }
+      : undefined,
+    'homepage': `${getEditors(props.targetEditor)[0].packagesURL}/${props.name}`,
+    'bugs': props.author
+      ? {
         'url': `https://github.com/${props.author}/${props.repositoryName}/issues`
-    },
+      }
+      : undefined,
+    // Pulsar reads the Atom engine, its versions continue from 1.100.0
     'engines': {
-      'atom': '>=1.0.0 <2.0.0'
-    },
-    'activationCommands': {
-      'atom-workspace': [
-        props.features.includes('code') && props.activationCommands
-          ? `${props.name}:hello-world`
-          : undefined
-      ]
+      'atom': props.targetEditor === 'pulsar'
+        ? '>=1.100.0 <2.0.0'
+        : '>=1.0.0 <2.0.0'
     },
+    // Providers and tiles have no command to defer their activation to
+    'activationCommands': props.features.includes('code') && props.activationCommands && getPresetCommand(props)
+      ? {
+        'atom-workspace': [
+          `${props.name}:${getPresetCommand(props)}`,
+          ...getWorkspaceViews(props).map(view => `${props.name}:${view.command}`)
+        ]
+      }
+      : {},
     'activationHooks': props.features.includes('code')
       ? getActivationHooks(props)
       : [],
     'workspaceOpeners': props.features.includes('code')
-      ? props.workspaceOpenerURIs
+      ? getWorkspaceOpeners(props)
       : [],
+    'providedServices': props.features.includes('code')
+      ? composeServices(getServices(props).provided)
+      : undefined,
+    'consumedServices': props.features.includes('code')
+      ? composeServices(getServices(props).consumed)
+      : undefined,
+    'deserializers': props.features.includes('code')
+      ? getDeserializers(props)
+      : undefined,
     'package-deps': props.features.includes('code')
-      ? props.atomDependencies
+      ? getPackageDeps(props)
       : [],
-    'dependencies': {},
-    'devDependencies': {},
-    'lint-staged': getLintStaged(props),
+    'dependencies': pinDependencies(dependencies),
+    'devDependencies': pinDependencies(devDependencies),
+    'lint-staged': usesLintStaged(props)
+      ? getLintStaged(props)
+      : undefined,
+    'simple-git-hooks': props.gitHooks === 'simple-git-hooks' && getGitHookManager(props)
+      ? getGitHooks(props, '$1')
+      : undefined
+  };
+}
+
+// Placeholder scripts are owned by the generator and can be replaced
+function isPlaceholder(value) {
+  return typeof value === 'string' && /^echo ["']Nothing to/.test(value);
+}
+
+// Adds missing entries to an existing manifest, without touching user-defined values
+function mergeManifest(manifest, additions) {
+  const merged = {
+    ...manifest
+  };
+
+  Object.entries(additions).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      const existing = Array.isArray(merged[key])
+        ? merged[key]
+        : [];
+
+      // Objects, e.g. pinned package dependencies, are compared by value
+      const items = [...existing, ...value].filter(item => item !== null && typeof item !== 'undefined');
+
+      merged[key] = items.filter((item, index) => items.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === index);
+    } else if (value !== null && typeof value === 'object') {
+      const existing = merged[key] !== null && typeof merged[key] === 'object' && !Array.isArray(merged[key])
+        ? merged[key]
+        : {};
+
+      merged[key] = mergeManifest(existing, value);
+    } else if (typeof merged[key] === 'undefined' || isPlaceholder(merged[key])) {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+// Fields that follow the answers, everything else in the manifest belongs to the user
+const generatorOwnedFields = [
+  'atomTestRunner',
+  'main',
+  'targets'
+];
+
+function upgradeManifest(manifest, generated) {
+  const upgraded = mergeManifest(manifest, generated);
+
+  generatorOwnedFields.forEach(key => {
+    if (typeof generated[key] === 'undefined' || generated[key] === false) {
+      delete upgraded[key];
+    } else {
+      upgraded[key] = generated[key];
+    }
+  });
+
+  // Engines other than the editor's are kept
+  upgraded.engines = {
+    ...upgraded.engines,
+    ...generated.engines
+  };
+
+  return upgraded;
+}
+
+// Plugins and presets are identified by name, with or without options
+function mergeBabel(babelrc, additions) {
+  const getName = entry => Array.isArray(entry)
+    ? entry[0]
+    : entry;
+
+  const merged = mergeManifest(babelrc, Object.fromEntries(
+    Object.entries(additions).filter(([key]) => !['plugins', 'presets'].includes(key))
+  ));
+
+  ['plugins', 'presets'].forEach(key => {
+    const existing = babelrc[key] || [];
+    const missing = (additions[key] || []).filter(entry => !existing.some(item => getName(item) === getName(entry)));
+
+    if (existing.length || missing.length) {
+      merged[key] = [...existing, ...missing];
+    }
+  });
+
+  return merged;
+}
+
+// Undefined values aren't written to JSON files, so they're left out
+function flattenObject(obj, prefix = '') {
+  return Object.entries(obj).filter(([, value]) => typeof value !== 'undefined').reduce((flattened, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length
+      ? { ...flattened, ...flattenObject(value, path) }
+      : { ...flattened, [path]: value };
+  }, {});
+}
+
+// Summarizes changes as dotted paths, e.g. "+ scripts.analyze: source-map-explorer lib/**/*.js"
+function diffManifest(before, after) {
+  const flatBefore = flattenObject(before);
+  const flatAfter = flattenObject(after);
+  const format = value => typeof value === 'string' ? value : JSON.stringify(value);
+
+  return [
+    ...Object.entries(flatAfter).map(([path, value]) => {
+      if (!(path in flatBefore)) {
+        return `+ ${path}: ${format(value)}`;
+      }
+
+      return JSON.stringify(flatBefore[path]) !== JSON.stringify(value)
+        ? `~ ${path}: ${format(flatBefore[path])} → ${format(value)}`
+        : null;
+    }),
+    ...Object.keys(flatBefore)
+      .filter(path => !(path in flatAfter))
+      .map(path => `- ${path}`)
+  ].filter(line => line !== null);
+}
+
+// ESLint configurations are modules, so settings are looked up in their source instead of running them
+function diffESLintConfig(source, eslintrc) {
+  const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const hasValue = value => new RegExp(`['"\`]${escape(value)}['"\`]`).test(source);
+  const hasKey = key => new RegExp(`(^|[\\s{,'"])${escape(key)}['"]?\\s*:`, 'm').test(source);
+  const format = value => typeof value === 'string' ? value : JSON.stringify(value);
+
+  return Object.entries(eslintrc).flatMap(([key, value]) => {
+    if (Array.isArray(value)) {
+      return value
+        .filter(item => !hasValue(item))
+        .map(item => `+ ${key}: ${item}`);
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.entries(value)
+        .filter(([name]) => !hasKey(name))
+        .map(([name, item]) => `+ ${key}.${name}: ${format(item)}`);
+    }
+
+    return typeof value === 'string' && !hasValue(value)
+      ? [`+ ${key}: ${value}`]
+      : [];
+  });
+}
+
+// semantic-release only bumps the version of the manifest, the editor's CLI publishes the new tag
+function composeReleaseConfig(props) {
+  return {
+    branches: ['main', 'master'],
+    plugins: [
+      '@semantic-release/commit-analyzer',
+      '@semantic-release/release-notes-generator',
+      ['@semantic-release/changelog', { changelogTitle: '# Changelog' }],
+      ['@semantic-release/npm', { npmPublish: false }],
+      ['@semantic-release/git', { assets: ['CHANGELOG.md', 'package.json', getPackageManager(props.packageManager).lockfile] }],
+      ['@semantic-release/exec', { publishCmd: `${getEditors(props.targetEditor)[0].cli} publish --tag v\${nextRelease.version}` }],
+      '@semantic-release/github'
+    ]
   };
 }
 
@@ -336,11 +1023,282 @@ function composeBabel(props) {
                 'useBuiltIns': 'entry',
             }
         ],
-        ...babelPresets
+        // React views don't import React for their JSX
+        ...babelPresets.map(preset => preset === '@babel/preset-react' && props.viewFramework === 'react'
+          ? [preset, { 'runtime': 'automatic' }]
+          : preset)
     ]
   }
 }
 
+function parseConfigValue(value, type) {
+  switch (type) {
+    case 'array':
+      return value
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length);
+
+    case 'boolean':
+      return value.trim() === 'true';
+
+    case 'integer':
+      return parseInt(value, 10);
+
+    case 'number':
+      return parseFloat(value);
+
+    default:
+      return value;
+  }
+}
+
+function composeConfigSchema(configOptions = []) {
+  const schema = {};
+
+  configOptions.forEach((option, index) => {
+    const entry = {
+      'title': option.title
+    };
+
+    if (option.description?.length) entry['description'] = option.description;
+
+    entry['type'] = option.type === 'enum'
+      ? 'string'
+      : option.type;
+
+    if (option.type === 'enum') entry['enum'] = parseConfigValue(option.enum, 'array');
+    if (option.type === 'array') entry['items'] = { 'type': 'string' };
+    if (option.minimum?.length) entry['minimum'] = parseConfigValue(option.minimum, option.type);
+    if (option.maximum?.length) entry['maximum'] = parseConfigValue(option.maximum, option.type);
+
+    entry['default'] = parseConfigValue(option.default, option.type);
+    entry['order'] = option.order?.length
+      ? parseInt(option.order, 10)
+      : index + 1;
+
+    schema[option.key] = entry;
+  });
+
+  return schema;
+}
+
+// TypeScript types of the configuration, used to type config.get()
+function getConfigTypes(configOptions = []) {
+  return configOptions.map(option => {
+    let type;
+
+    switch (option.type) {
+      case 'array':
+        type = 'string[]';
+        break;
+
+      case 'color':
+        type = 'Color';
+        break;
+
+      case 'enum':
+        type = parseConfigValue(option.enum, 'array')
+          .map(value => JSON.stringify(value))
+          .join(' | ');
+        break;
+
+      case 'integer':
+        type = 'number';
+        break;
+
+      default:
+        type = option.type;
+        break;
+    }
+
+    return {
+      key: option.key,
+      type
+    };
+  });
+}
+
+function composeSnippets(props) {
+  const starters = {
+    'function': {
+      'Function': {
+        'prefix': 'fn',
+        'body': 'function ${1:name}(${2:parameters}) {\n\t${3:// body}\n}$0',
+        'description': 'Function declaration',
+        'leftLabel': 'function'
+      }
+    },
+    'conditional': {
+      'If Statement': {
+        'prefix': 'if',
+        'body': 'if (${1:condition}) {\n\t$2\n}$0',
+        'description': 'Conditional statement',
+        'leftLabel': 'if'
+      }
+    },
+    'loop': {
+      'For Loop': {
+        'prefix': 'for',
+        'body': 'for (${1:let i = 0}; ${2:i < length}; ${3:i++}) {\n\t$4\n}$0',
+        'description': 'Loop with counter',
+        'leftLabel': 'for'
+      }
+    },
+    'todo': {
+      'To-do Comment': {
+        'prefix': 'todo',
+        'body': '${1://} TODO: ${2:description}$0',
+        'description': 'Comment marking unfinished work',
+        'leftLabel': 'comment'
+      }
+    }
+  };
+
+  const selector = props.snippetScopes
+    .split(',')
+    .map(scope => scope.trim())
+    .filter(scope => scope.length)
+    .join(', ');
+
+  const snippets = {};
+
+  (props.snippetStarters || []).forEach(starter => {
+    Object.entries(starters[starter]).forEach(([name, snippet]) => {
+      snippets[name] = {
+        ...snippet,
+        'rightLabel': props.name
+      };
+    });
+  });
+
+  return {
+    [selector]: snippets
+  };
+}
+
+function addKeybinding(keymap, selector, keystroke, command) {
+  return {
+    ...keymap,
+    [selector]: {
+      ...keymap[selector],
+      [keystroke]: command
+    }
+  };
+}
+
+// Commands are listed once per menu
+function addMenuItem(menus, props) {
+  const item = {
+    'label': props.commandLabel,
+    'command': props.commandName
+  };
+
+  const addItem = (items = []) => items.some(entry => entry.command === item.command)
+    ? items
+    : [...items, item];
+
+  const contextMenu = props.commandMenus.includes('context-menu')
+    ? {
+      ...menus['context-menu'],
+      [props.commandSelector]: addItem(menus['context-menu']?.[props.commandSelector])
+    }
+    : menus['context-menu'];
+
+  let menu = menus['menu'];
+
+  if (props.commandMenus.includes('menu')) {
+    menu = [...(menu || [])];
+
+    let packagesMenu = menu.find(entry => entry.label === 'Packages');
+
+    if (!packagesMenu) {
+      packagesMenu = {
+        'label': 'Packages',
+        'submenu': []
+      };
+
+      menu.push(packagesMenu);
+    }
+
+    packagesMenu.submenu = packagesMenu.submenu || [];
+
+    let packageMenu = packagesMenu.submenu.find(entry => entry.label === props.name);
+
+    if (!packageMenu) {
+      packageMenu = {
+        'label': props.name,
+        'submenu': []
+      };
+
+      packagesMenu.submenu.push(packageMenu);
+    }
+
+    packageMenu.submenu = addItem(packageMenu.submenu);
+  }
+
+  return {
+    ...menus,
+    ...(contextMenu ? { 'context-menu': contextMenu } : {}),
+    ...(menu ? { 'menu': menu } : {})
+  };
+}
+
+// Adds import and registration of a command to the source of src/main
+function registerCommand(source, props) {
+  let importStatement;
+  let registration;
+  let activateRegex;
+  let importRegex;
+
+  if (props.language === 'coffeescript') {
+    importStatement = `{ ${props.commandFunction} } = require "./commands/${props.command}"`;
+    registration = `    @subscriptions.add atom.commands.add "${props.commandSelector}", "${props.commandName}": -> ${props.commandFunction}()`;
+    activateRegex = /^\s*activate: *(\([^)]*\))? *->.*$/m;
+    importRegex = /^.*= *require[ (].*$/gm;
+  } else {
+    importStatement = `import { ${props.commandFunction} } from './commands/${props.command}';`;
+    registration = `
+      this.subscriptions.add(
+        atom.commands.add('${props.commandSelector}', {
+          '${props.commandName}': () => {
+            ${props.commandFunction}();
+          }
+        })
+      );
+    `;
+    activateRegex = /^\s*(async\s+)?activate\s*\([^)]*\)\s*(:\s*[^{]+)?\{.*$/m;
+    importRegex = /^import .*$/gm;
+  }
+
+  const activate = source.match(activateRegex);
+
+  if (!activate) {
+    throw Error('Could not find the activate() method of the package');
+  }
+
+  const activateEnd = activate.index + activate[0].length;
+  source = `${source.slice(0, activateEnd)}\n${registration}${source.slice(activateEnd)}`;
+
+  const imports = [...source.matchAll(importRegex)];
+  const importEnd = imports.length
+    ? imports[imports.length - 1].index + imports[imports.length - 1][0].length
+    : 0;
+
+  return imports.length
+    ? `${source.slice(0, importEnd)}\n${importStatement}${source.slice(importEnd)}`
+    : `${importStatement}\n${source}`;
+}
+
+function formatSource(source, props) {
+  return prettier.format(source, {
+    parser: props.language === 'typescript'
+      ? 'babel-ts'
+      : 'babel',
+    ...getPrettierConfig(props.eslintConfig)
+  });
+}
+
 function getPrettierConfig(eslintConfig) {
   switch (eslintConfig) {
     case 'airbnb':
@@ -366,15 +1324,6 @@ function getPrettierConfig(eslintConfig) {
         useTabs: false
       };
 
-    case 'idiomatic':
-      return {
-        arrowParens: 'always',
-        bracketSpacing: true,
-        singleQuote: true,
-        tabWidth: 2,
-        useTabs: false
-      };
-
     case 'standard':
       return {
         bracketSpacing: false,
@@ -405,51 +1354,245 @@ function getPrettierConfig(eslintConfig) {
   }
 }
 
-function getLintStaged(props) {
-  const lintStagedTasks = {
-    "*.json": "jsonlint --quiet",
-    "*.{ts,md,yml}": "prettierx --write"
-  };
+// Parent folders of the given files, e.g. src/views/view.js => src, src/views
+function getDirectories(filePaths) {
+  const directories = filePaths.flatMap(filePath => {
+    const parts = filePath.split('/').slice(0, -1);
 
-  if (props.features.includes('code')) {
-    let languageExt;
+    return parts.map((part, index) => parts.slice(0, index + 1).join('/'));
+  });
 
-    switch (props.language) {
-      case 'coffeescript':
-        languageExt = 'coffee';
-        break;
+  return [...new Set(directories)].sort();
+}
 
-      case 'javascript':
-        languageExt = 'js';
-        break;
+// Renders files and their actions as a tree, new folders are marked as created
+function formatFileTree(files, newDirectories = []) {
+  const root = {};
 
-      case 'typescript':
-        languageExt = 'ts';
-        break;
+  files.forEach(file => {
+    const parts = file.path.split('/');
+    const fileName = parts.pop();
+    let node = root;
 
-      default:
-        break;
+    parts.forEach((part, index) => {
+      const directory = parts.slice(0, index + 1).join('/');
+
+      node[`${part}/`] = node[`${part}/`] || {
+        action: newDirectories.includes(directory) ? 'create' : undefined,
+        children: {}
+      };
+
+      node = node[`${part}/`].children;
+    });
+
+    node[fileName] = {
+      action: file.action
+    };
+  });
+
+  const render = (nodes, indentation) => Object.keys(nodes).sort().flatMap((name, index, names) => {
+    const isLast = index === names.length - 1;
+    const { action, children } = nodes[name];
+
+    return [
+      `${indentation}${isLast ? '└─' : '├─'} ${name}${action ? ` (${action})` : ''}`,
+      ...(children ? render(children, `${indentation}${isLast ? '   ' : '│  '}`) : [])
+    ];
+  });
+
+  return render(root, '');
+}
+
+// Scripts run by the doctor, along with the generated configurations they depend on
+function getVerifyChecks(props, manifest) {
+  const checks = [
+    {
+      'name': 'build',
+      'files': props.features.includes('code')
+        ? [
+          ...(props.bundler === 'parcel' ? ['package.json'] : []),
+          ...(getBundlerConfig(props.bundler) ? [getBundlerConfig(props.bundler)] : []),
+          ...(props.language === 'typescript' ? ['tsconfig.json'] : []),
+          ...(usesBabel(props) ? ['.babelrc'] : [])
+        ]
+        : []
+    },
+    {
+      'name': 'lint:code',
+      'files': props.features.includes('code')
+        ? [props.language === 'coffeescript' ? 'coffeelint.json' : '.eslintrc.cjs']
+        : []
+    },
+    {
+      'name': 'lint:styles',
+      'files': props.features.includes('styles')
+        ? ['.stylelintrc']
+        : []
     }
+  ];
 
-    lintStagedTasks[`*.${languageExt}`] = (props.language === 'coffeescript'
-      ? 'coffeelint ./src'
-      : 'eslint --cache --fix'
-    );
+  return checks.filter(check => manifest.scripts?.[check.name] && !isPlaceholder(manifest.scripts[check.name]));
+}
+
+// Hook managers, their package and the script that installs their hooks
+const gitHookManagers = {
+  'husky': {
+    dependency: 'husky',
+    installScript: 'husky install'
+  },
+  'lefthook': {
+    dependency: 'lefthook',
+    installScript: 'lefthook install'
+  },
+  'simple-git-hooks': {
+    dependency: 'simple-git-hooks',
+    installScript: 'simple-git-hooks'
+  }
+};
+
+// Git hooks of a workspace are installed by its root, packages without a hook manager answer use Husky
+function getGitHookManager(props) {
+  return props.workspace
+    ? undefined
+    : gitHookManagers[props.gitHooks || 'husky'];
+}
+
+// Hooks of a workspace run the lint-staged tasks of its packages
+function usesLintStaged(props) {
+  return Boolean(props.workspace || getGitHookManager(props));
+}
+
+// Each hook manager passes the commit message file in its own way, e.g. {1} in Lefthook
+function getGitHooks(props, messageFile = '"$1"') {
+  const { exec, run } = getPackageManager(props.packageManager);
+  const hooks = {
+    'pre-commit': `${exec} lint-staged`
+  };
+
+  if (props.commitlint) {
+    hooks['commit-msg'] = `${exec} commitlint --edit ${messageFile}`;
+  }
+
+  if (props.prePushHooks?.length) {
+    hooks['pre-push'] = props.prePushHooks.map(script => `${run} ${script}`).join(' && ');
+  }
+
+  return hooks;
+}
+
+function getLintStaged(props) {
+  const lintStagedTasks = {
+    "*.json": "jsonlint --quiet",
+    "*.{md,yml}": "prettierx --write"
+  };
+
+  if (props.features.includes('code')) {
+    const tasks = {
+      coffeescript: 'coffeelint',
+      javascript: 'eslint --cache --fix',
+      typescript: ['prettierx --write', 'eslint --cache --fix']
+    };
+
+    lintStagedTasks[`*.${getLanguageExtension(props.language)}`] = tasks[props.language];
   }
 
   if (props.features.includes('styles')) {
-    lintStagedTasks['*.(c|le)ss'] = 'stylelint --fix';
+    lintStagedTasks['*.{css,less}'] = 'stylelint --fix';
   }
 
   return lintStagedTasks;
 }
 
+// Workspaces are either an array of globs, or an object with packages in Yarn 1
+function getWorkspacePatterns(manifest) {
+  const { workspaces } = manifest;
+
+  return Array.isArray(workspaces)
+    ? workspaces
+    : workspaces?.packages || [];
+}
+
+// Only the wildcards of npm and Yarn workspaces are supported, e.g. packages/*
+function isWorkspacePackage(patterns, packagePath) {
+  return patterns.some(pattern => {
+    const expression = pattern
+      .replace(/^\.\/|\/$/g, '')
+      .split('/')
+      .map(segment => segment === '**'
+        ? '.*'
+        : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+      .join('/');
+
+    return new RegExp(`^${expression}$`).test(packagePath);
+  });
+}
+
+function addWorkspace(manifest, packagePath) {
+  const patterns = getWorkspacePatterns(manifest);
+
+  if (isWorkspacePackage(patterns, packagePath)) return manifest;
+
+  return {
+    ...manifest,
+    workspaces: Array.isArray(manifest.workspaces)
+      ? [...patterns, packagePath]
+      : { ...manifest.workspaces, packages: [...patterns, packagePath] }
+  };
+}
+
+// Jobs with a package matrix that doesn't list the package yet
+function getWorkspaceMatrixJobs(workflow, packagePath) {
+  return Object.entries(workflow.jobs || {})
+    .filter(([, job]) => {
+      const packages = job?.strategy?.matrix?.package;
+
+      return Array.isArray(packages) && !packages.includes(packagePath);
+    })
+    .map(([name]) => name);
+}
+
 module.exports = {
+  addKeybinding,
+  addMenuItem,
+  addWorkspace,
   composeBabel,
+  composeConfigSchema,
   composeManifest,
+  composeReleaseConfig,
+  composeSnippets,
+  diffESLintConfig,
+  diffManifest,
+  formatFileTree,
+  formatSource,
+  getBundlerConfig,
+  getConfigTypes,
   getDependencies,
   getDestinationPath,
+  getDirectories,
+  getEditors,
+  getForeignLockfiles,
+  getGitHookManager,
+  getGitHooks,
   getLicenses,
+  getPackageCommands,
+  getPackageManager,
+  getPackageSpecs,
+  getPresetCommand,
   getPrettierConfig,
-  getTemplatePath
+  getReleaseTool,
+  getServiceImports,
+  getServices,
+  getTemplatePath,
+  getThemeType,
+  getUnpinnedDependencies,
+  getVerifyChecks,
+  getWorkspaceMatrixJobs,
+  getWorkspaceViews,
+  isWorkspacePackage,
+  mergeBabel,
+  mergeManifest,
+  pinDependencies,
+  registerCommand,
+  upgradeManifest,
+  usesBabel
 };
@@ -0,0 +1,934 @@
+const { capitalCase } = require('change-case');
+const { join, sep } = require('path');
+const slugify = require('@sindresorhus/slugify');
+
+const { getLicenses } = require('./helpers');
+const validators = require('./validators');
+
+// Questions for a single option of the package configuration
+function getConfigQuestions() {
+  return [
+    {
+      name: 'key',
+      message: 'Configuration: Specify the key',
+      validate: str => validators.configKey(str)
+    },
+    {
+      type: 'list',
+      name: 'type',
+      message: 'Configuration: Choose a type',
+      default: 'string',
+      choices: [
+        {
+          name: 'Array',
+          value: 'array'
+        },
+        {
+          name: 'Boolean',
+          value: 'boolean'
+        },
+        {
+          name: 'Color',
+          value: 'color'
+        },
+        {
+          name: 'Enum',
+          value: 'enum'
+        },
+        {
+          name: 'Integer',
+          value: 'integer'
+        },
+        {
+          name: 'Number',
+          value: 'number'
+        },
+        {
+          name: 'String',
+          value: 'string'
+        }
+      ]
+    },
+    {
+      name: 'enum',
+      message: 'Configuration: Specify the allowed values (comma-separated)',
+      when: answers => answers.type === 'enum',
+      validate: str => validators.configEnum(str)
+    },
+    {
+      name: 'minimum',
+      message: 'Configuration: Specify the minimum (optional)',
+      default: '',
+      when: answers => ['integer', 'number'].includes(answers.type),
+      validate: (str, answers) => validators.configNumber(str, answers.type)
+    },
+    {
+      name: 'maximum',
+      message: 'Configuration: Specify the maximum (optional)',
+      default: '',
+      when: answers => ['integer', 'number'].includes(answers.type),
+      validate: (str, answers) => validators.configNumber(str, answers.type)
+    },
+    {
+      name: 'default',
+      message: 'Configuration: Specify the default value',
+      default: answers => {
+        switch (answers.type) {
+          case 'boolean':
+            return 'false';
+
+          case 'color':
+            return '#ffffff';
+
+          case 'enum':
+            return answers.enum.split(',')[0].trim();
+
+          case 'integer':
+          case 'number':
+            return answers.minimum || '0';
+
+          default:
+            return '';
+        }
+      },
+      validate: (str, answers) => validators.configDefault(str, answers)
+    },
+    {
+      name: 'title',
+      message: 'Configuration: Specify the title',
+      default: answers => capitalCase(answers.key)
+    },
+    {
+      name: 'description',
+      message: 'Configuration: Specify the description (optional)',
+      default: ''
+    },
+    {
+      name: 'order',
+      message: 'Configuration: Specify the order (optional)',
+      default: '',
+      validate: str => validators.configNumber(str, 'integer')
+    }
+  ];
+}
+
+// Themes are styles only, so they skip the questions about code
+function isTheme(answers) {
+  return ['ui-theme', 'syntax-theme'].includes(answers.packageKind);
+}
+
+// All questions of the generator, sub-generators pick the ones they need
+function getQuestions(generator) {
+  return [
+    {
+      name: 'name',
+      message: 'What do you want to name your package?',
+      default: slugify(generator.appname),
+      store: true,
+      validate: str => validators.name(str, generator.options)
+    },
+    {
+      name: 'description',
+      message: 'What is your package description?',
+      default: '',
+      store: true,
+      validate: str => validators.description(str, generator.options)
+    },
+    {
+      name: 'author',
+      message: 'What\'s your GitHub username?',
+      default: async () => {
+        let username;
+
+        try {
+          username = await generator.user.github.username();
+        } catch (error) {
+          username = '';
+        }
+
+        return username;
+      },
+      store: true,
+      validate: str => validators.user(str),
+      when: () => !generator.options.org
+    },
+    {
+      type: 'list',
+      name: 'targetEditor',
+      message: 'Target editor',
+      default: 'atom',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('Atom', 'https://atom.io/'),
+          value: 'atom'
+        },
+        {
+          name: generator.linkify('Pulsar', 'https://pulsar-edit.dev/'),
+          value: 'pulsar'
+        },
+        {
+          name: 'Both',
+          value: 'both'
+        }
+      ]
+    },
+    {
+      type: 'confirm',
+      name: 'private',
+      message: 'Is this a private package?',
+      store: true,
+      default: false,
+    },
+    {
+      type: 'list',
+      name: 'license',
+      message: 'Choose a license',
+      default: 'MIT',
+      store: true,
+      choices: getLicenses,
+    },
+    {
+      type: 'list',
+      name: 'packageKind',
+      message: 'Package kind',
+      default: 'package',
+      store: true,
+      choices: [
+        {
+          name: 'Package',
+          value: 'package'
+        },
+        {
+          name: generator.linkify('UI Theme', 'https://flight-manual.atom.io/hacking-atom/sections/creating-a-theme/'),
+          value: 'ui-theme'
+        },
+        {
+          name: generator.linkify('Syntax Theme', 'https://flight-manual.atom.io/hacking-atom/sections/creating-a-theme/'),
+          value: 'syntax-theme'
+        }
+      ]
+    },
+    {
+      type: 'checkbox',
+      name: 'features',
+      message: 'Package Features',
+      store: true,
+      when: answers => !isTheme(answers),
+      choices: [
+        {
+          name: 'Code',
+          value: 'code',
+          checked: true
+        },
+        {
+          name: 'Grammars',
+          value: 'grammars',
+          checked: false
+        },
+        {
+          name: 'Keymaps',
+          value: 'keymaps',
+          checked: false
+        },
+        {
+          name: 'Menus',
+          value: 'menus',
+          checked: false
+        },
+        {
+          name: 'Snippets',
+          value: 'snippets',
+          checked: false
+        },
+        {
+          name: 'Styles',
+          value: 'styles',
+          checked: false
+        }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'grammarType',
+      message: 'Grammars: Choose a grammar type',
+      default: 'textmate',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('TextMate', 'https://flight-manual.atom.io/hacking-atom/sections/creating-a-legacy-textmate-grammar/'),
+          value: 'textmate'
+        },
+        {
+          name: generator.linkify('Tree-sitter', 'https://flight-manual.atom.io/hacking-atom/sections/creating-a-grammar/'),
+          value: 'tree-sitter'
+        }
+      ],
+      when: answers => answers.features?.includes('grammars')
+    },
+    {
+      name: 'grammarName',
+      message: 'Grammars: Specify the language name',
+      default: answers => capitalCase(answers.name.replace(/^language-/, '')),
+      when: answers => answers.features?.includes('grammars'),
+      validate: str => validators.grammarName(str)
+    },
+    {
+      name: 'grammarScope',
+      message: 'Grammars: Specify the scope name',
+      default: answers => `source.${slugify(answers.grammarName)}`,
+      when: answers => answers.features?.includes('grammars'),
+      validate: str => validators.scopeName(str)
+    },
+    {
+      name: 'grammarFileTypes',
+      message: 'Grammars: Specify file types (comma-separated)',
+      default: answers => slugify(answers.grammarName),
+      when: answers => answers.features?.includes('grammars'),
+      validate: str => validators.fileTypes(str)
+    },
+    {
+      name: 'grammarFirstLineMatch',
+      message: 'Grammars: Specify a first-line match (optional)',
+      default: '',
+      when: answers => answers.features?.includes('grammars')
+    },
+    {
+      name: 'grammarParser',
+      message: 'Grammars: Specify the Tree-sitter parser module',
+      default: answers => `tree-sitter-${slugify(answers.grammarName)}`,
+      when: answers => answers.features?.includes('grammars') && answers.grammarType === 'tree-sitter',
+      validate: str => validators.parserModule(str)
+    },
+    {
+      name: 'snippetScopes',
+      message: 'Snippets: Specify scope selectors (comma-separated)',
+      default: answers => answers.grammarScope
+        ? `.${answers.grammarScope}`
+        : '.source.js',
+      when: answers => answers.features?.includes('snippets'),
+      validate: str => validators.scopeSelectors(str)
+    },
+    {
+      type: 'checkbox',
+      name: 'snippetStarters',
+      message: 'Snippets: Choose starter snippets',
+      store: true,
+      choices: [
+        {
+          name: 'Function',
+          value: 'function',
+          checked: true
+        },
+        {
+          name: 'Conditional',
+          value: 'conditional',
+          checked: true
+        },
+        {
+          name: 'Loop',
+          value: 'loop',
+          checked: true
+        },
+        {
+          name: 'To-do Comment',
+          value: 'todo',
+          checked: true
+        }
+      ],
+      when: answers => answers.features?.includes('snippets')
+    },
+    {
+      type: 'list',
+      name: 'packageType',
+      message: 'Package type',
+      default: 'hello-world',
+      choices: [
+        {
+          name: 'Hello World',
+          value: 'hello-world'
+        },
+        {
+          name: generator.linkify('Linter Provider', 'https://steelbrain.me/linter/types/standard-linter-v2.html'),
+          value: 'linter'
+        },
+        {
+          name: generator.linkify('Autocomplete Provider', 'https://github.com/atom/autocomplete-plus/wiki/Provider-API'),
+          value: 'autocomplete'
+        },
+        {
+          name: generator.linkify('Status Bar Tile', 'https://github.com/atom/status-bar#api'),
+          value: 'status-bar'
+        },
+        {
+          name: generator.linkify('Dock Item', 'https://flight-manual.atom.io/hacking-atom/sections/package-active-editor-info/'),
+          value: 'dock'
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      name: 'providerScopes',
+      message: 'Specify grammar scopes to provide for (comma-separated)',
+      default: answers => answers.grammarScope || 'source.js',
+      when: answers => ['linter', 'autocomplete'].includes(answers.packageType),
+      validate: str => validators.scopeNames(str)
+    },
+    {
+      type: 'list',
+      name: 'language',
+      message: 'Choose your preferred language',
+      default: 'typescript',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('CoffeeScript', 'https://coffeescript.org'),
+          value: 'coffeescript'
+        },
+        {
+          name: generator.linkify('JavaScript', 'https://developer.mozilla.org/en-US/docs/Web/JavaScript'),
+          value: 'javascript'
+        },
+        {
+          name: generator.linkify('TypeScript', 'https://www.typescriptlang.org'),
+          value: 'typescript'
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'list',
+      name: 'bundler',
+      message: 'Bundler',
+      default: 'rollup',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('Rollup', 'https://rollupjs.org/'),
+          value: 'rollup'
+        },
+        {
+          name: generator.linkify('Webpack', 'https://webpack.js.org/'),
+          value: 'webpack'
+        },
+        {
+          name: generator.linkify('esbuild', 'https://esbuild.github.io/'),
+          value: 'esbuild'
+        },
+        {
+          name: generator.linkify('Parcel', 'https://parceljs.org/'),
+          value: 'parcel'
+        },
+        {
+          name: 'None (transpile only)',
+          value: 'none'
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'list',
+      name: 'packageManager',
+      message: 'Package Manager',
+      default: 'npm',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('npm', 'https://www.npmjs.com/get-npm'),
+          value: 'npm'
+        },
+        {
+          name: generator.linkify('pnpm', 'https://pnpm.io/'),
+          value: 'pnpm'
+        },
+        {
+          name: generator.linkify('Yarn Classic', 'https://classic.yarnpkg.com/'),
+          value: 'yarn'
+        },
+        {
+          name: generator.linkify('Yarn', 'https://yarnpkg.com/'),
+          value: 'yarn-berry'
+        },
+        {
+          name: generator.linkify('Bun', 'https://bun.sh/'),
+          value: 'bun'
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'list',
+      name: 'yarnNodeLinker',
+      message: 'Yarn: How should dependencies be installed?',
+      store: true,
+      default: 'node-modules',
+      choices: [
+        {
+          name: 'node_modules folder',
+          value: 'node-modules'
+        },
+        {
+          name: generator.linkify('Plug\'n\'Play', 'https://yarnpkg.com/features/pnp'),
+          value: 'pnp'
+        },
+        {
+          name: 'pnpm-style symlinks',
+          value: 'pnpm'
+        }
+      ],
+      when: answers => answers.packageManager === 'yarn-berry'
+    },
+    {
+      type: 'list',
+      name: 'testRunner',
+      message: 'Testing',
+      default: 'jasmine',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('Jasmine', 'https://flight-manual.atom.io/hacking-atom/sections/writing-specs/'),
+          value: 'jasmine'
+        },
+        {
+          name: generator.linkify('Mocha', 'https://www.npmjs.com/package/atom-mocha-test-runner'),
+          value: 'mocha'
+        },
+        {
+          name: 'None',
+          value: 'none'
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'confirm',
+      name: 'activationCommands',
+      message: 'Add activation command?',
+      default: true,
+      when: answers => answers.features?.includes('code') && ['hello-world', 'dock'].includes(answers.packageType)
+    },
+    {
+      type: 'checkbox',
+      name: 'activationHooks',
+      message: 'Add activation hooks?',
+      store: true,
+      choices: [
+        {
+          name: 'Loaded Shell Environment',
+          value: 'core:loaded-shell-environment',
+          checked: false
+        },
+        {
+          name: 'Root Scope Used',
+          value: 'root-scope-used',
+          checked: false
+        },
+        {
+          name: 'Grammar Used',
+          value: 'grammar-used',
+          checked: false
+        }
+      ],
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      name: 'rootScopeUsed',
+      message: 'Activation Hooks: Specify root scope used',
+      default: answers => answers.grammarScope,
+      when: answers => answers.features?.includes('code') && answers.activationHooks?.includes('root-scope-used'),
+      validate: str => validators.rootScope(str)
+    },
+    {
+      name: 'grammarUsed',
+      message: 'Activation Hooks: Specify grammar used',
+      store: true,
+      when: answers => answers.features?.includes('code') && answers.activationHooks?.includes('grammar-used'),
+      validate: str => validators.grammar(str)
+    },
+    {
+      type: 'confirm',
+      name: 'persistState',
+      message: 'Persist state across sessions?',
+      store: true,
+      default: false,
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'confirm',
+      name: 'workspaceOpeners',
+      message: 'Add workspace openers?',
+      store: true,
+      default: false,
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      name: 'workspaceOpenerURIs',
+      message: 'Workspace Openers: Specify workspace URIs (comma-separated)',
+      store: true,
+      when: answers => answers.workspaceOpeners,
+      validate: str => validators.workspaceOpener(str)
+    },
+    {
+      type: 'list',
+      name: 'viewFramework',
+      message: 'Workspace Openers: Render views with',
+      store: true,
+      default: 'vanilla',
+      choices: [
+        {
+          name: 'Vanilla DOM',
+          value: 'vanilla'
+        },
+        {
+          name: generator.linkify('Etch', 'https://github.com/atom/etch'),
+          value: 'etch'
+        },
+        {
+          name: generator.linkify('React', 'https://react.dev'),
+          value: 'react'
+        }
+      ],
+      when: answers => answers.workspaceOpeners
+    },
+    {
+      type: 'confirm',
+      name: 'servicesQuestion',
+      message: 'Consume or provide services?',
+      default: false,
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      name: 'consumedServices',
+      message: 'Services: Specify consumed services and version ranges (comma-separated, e.g. status-bar@^1.0.0)',
+      default: '',
+      when: answers => answers.servicesQuestion,
+      validate: str => validators.services(str)
+    },
+    {
+      name: 'providedServices',
+      message: 'Services: Specify provided services and versions (comma-separated, e.g. linter@2.0.0)',
+      default: '',
+      when: answers => answers.servicesQuestion,
+      validate: str => validators.services(str)
+    },
+    {
+      type: 'loop',
+      name: 'configOptions',
+      message: 'Add a configuration option?',
+      repeatMessage: 'Add another configuration option?',
+      questions: getConfigQuestions(),
+      when: answers => answers.features?.includes('code')
+    },
+    {
+      type: 'confirm',
+      name: 'atomDependenciesQuestion',
+      message: 'Depend on other Atom packages?',
+      default: false,
+      store: true,
+      // when: answers => answers.features?.includes('code')
+    },
+    {
+      name: 'atomDependencies',
+      message: 'Specify Atom packages (comma-separated)',
+      store: true,
+      when: answers => answers.atomDependenciesQuestion,
+      validate: async (str, answers) => await validators.atomDependencies(str, generator._getRegistry(answers.targetEditor))
+    },
+    {
+      type: 'checkbox',
+      name: 'additionalDependencies',
+      message: 'Specify additional dependencies',
+      store: true,
+      choices: [
+        {
+          name: generator.linkify('Developer Console', 'https://www.npmjs.com/package/@atxm/developer-console'),
+          value: '@atxm/developer-console',
+          checked: false
+        },
+        {
+          name: generator.linkify('Metrics', 'https://www.npmjs.com/package/@atxm/metrics'),
+          value: '@atxm/metrics',
+          checked: false
+        }
+      ],
+      when: answers => answers.features?.includes('code') && answers.language !== 'coffeescript'
+    },
+    {
+      name: 'gaTrackingId',
+      message: 'Specify your Google Analytics Tracking ID',
+      store: true,
+      when: answers => answers.features?.includes('code') && answers.additionalDependencies?.includes('@atxm/metrics'),
+      validate: trackingID => /^UA-\d{4,}-\d{1,}/.test(trackingID)
+        ? true
+        : 'Unsupported tracking ID format (should be UA-XXXX-Y)'
+    },
+    {
+      type: 'list',
+      name: 'releaseTool',
+      message: 'Release tooling',
+      default: 'none',
+      store: true,
+      choices: [
+        {
+          name: 'None',
+          value: 'none'
+        },
+        {
+          name: generator.linkify('changesets', 'https://github.com/changesets/changesets'),
+          value: 'changesets'
+        },
+        {
+          name: generator.linkify('np', 'https://github.com/sindresorhus/np'),
+          value: 'np'
+        },
+        {
+          name: generator.linkify('semantic-release', 'https://semantic-release.gitbook.io'),
+          value: 'semantic-release'
+        }
+      ]
+    },
+    {
+      type: 'checkbox',
+      name: 'addConfig',
+      message: 'Add CI configuration',
+      store: true,
+      // The CI of a workspace is configured at its root
+      when: () => !generator._getWorkspace(),
+      // Sub-generators read the private flag from the manifest
+      choices: answers => [
+        {
+          name: generator.linkify('Azure Pipelines', 'https://azure.microsoft.com/products/devops/pipelines'),
+          value: 'azurePipelines',
+          checked: false
+        },
+        {
+          name: generator.linkify('Bitbucket Pipelines', 'https://bitbucket.org/product/features/pipelines'),
+          value: 'bitbucketPipelines',
+          checked: false,
+          disabled: answers.private || answers.manifest?.private
+            ? false
+            : 'Private packages only'
+        },
+        {
+          name: generator.linkify('Circle CI', 'https://circleci.com'),
+          value: 'circleCI',
+          checked: false
+        },
+        {
+          name: generator.linkify('GitHub Actions', 'https://github.com/features/actions'),
+          value: 'githubActions',
+          checked: false
+        },
+        {
+          name: generator.linkify('GitLab CI/CD', 'https://docs.gitlab.com/ee/ci/'),
+          value: 'gitlabCI',
+          checked: false
+        },
+        {
+          name: generator.linkify('Travis CI', 'https://travis-ci.org'),
+          value: 'travisCI',
+          checked: false
+        }
+      ]
+    },
+    {
+      type: 'confirm',
+      name: 'ciRelease',
+      message: 'Publish the package when a version tag is pushed?',
+      default: false,
+      store: true,
+      // Release tooling always adds a release job
+      when: answers => answers.addConfig?.length > 0 && [undefined, 'none'].includes(answers.releaseTool)
+    },
+    {
+      type: 'checkbox',
+      name: 'babelPresets',
+      message: 'Babel Presets',
+      store: true,
+      // esbuild and Parcel compile without Babel
+      when: answers => answers.features?.includes('code') && answers.language === 'javascript' && ['none', 'rollup', 'webpack'].includes(answers.bundler),
+      choices: [
+        {
+          name: generator.linkify('Flow', 'https://www.npmjs.com/package/@babel/preset-flow'),
+          value: '@babel/preset-flow'
+        },
+        {
+          name: generator.linkify('React', 'https://www.npmjs.com/package/@babel/preset-react'),
+          value: '@babel/preset-react',
+        }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'eslintConfig',
+      message: 'ESLint Configuration',
+      default: 'eslint',
+      store: true,
+      when: answers => answers.features?.includes('code') && answers.language !== 'coffeescript',
+      choices: [
+        {
+          name: generator.linkify('Atom IDE Community', 'https://www.npmjs.com/package/eslint-config-atomic'),
+          value: 'atomic',
+        },
+        {
+          name: generator.linkify('Airbnb', 'https://www.npmjs.com/package/eslint-config-airbnb'),
+          value: 'airbnb',
+        },
+        {
+          name: generator.linkify('ESLint', 'https://www.npmjs.com/package/eslint-config-eslint'),
+          value: 'eslint',
+        },
+        {
+          name: generator.linkify('Google', 'https://www.npmjs.com/package/eslint-config-google'),
+          value: 'google',
+        },
+        {
+          name: generator.linkify('Prettier', 'https://www.npmjs.com/package/eslint-config-prettier'),
+          value: 'prettier',
+        },
+        {
+          name: generator.linkify('Semistandard', 'https://www.npmjs.com/package/eslint-config-semistandard'),
+          value: 'semistandard',
+        },
+        {
+          name: generator.linkify('Standard', 'https://www.npmjs.com/package/eslint-config-standard'),
+          value: 'standard',
+        },
+        {
+          name: generator.linkify('XO', 'https://www.npmjs.com/package/eslint-config-xo'),
+          value: 'xo',
+        }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'stylelintConfig',
+      message: 'Stylelint Configuration',
+      default: 'recommended',
+      store: true,
+      when: answers => answers.features?.includes('styles') || isTheme(answers),
+      choices: [
+        {
+          name: generator.linkify('Idiomatic', 'https://www.npmjs.com/package/stylelint-config-idiomatic'),
+          value: 'idiomatic',
+        },
+        {
+          name: generator.linkify('Prettier', 'https://www.npmjs.com/package/stylelint-config-prettier'),
+          value: 'prettier',
+        },
+        {
+          name: generator.linkify('Primer', 'https://www.npmjs.com/package/stylelint-config-primer'),
+          value: 'primer',
+        },
+        {
+          name: generator.linkify('Recommended', 'https://www.npmjs.com/package/stylelint-config-recommended'),
+          value: 'recommended',
+        },
+        {
+          name: generator.linkify('Standard', 'https://www.npmjs.com/package/stylelint-config-standard'),
+          value: 'standard',
+        },
+        {
+          name: generator.linkify('XO', 'https://www.npmjs.com/package/stylelint-config-xo'),
+          value: 'xo',
+        }
+      ]
+    },
+    {
+      type: 'list',
+      name: 'gitHooks',
+      message: 'Git hooks',
+      default: 'husky',
+      store: true,
+      // Git hooks of a workspace are installed by its root
+      when: () => !generator._getWorkspace(),
+      choices: [
+        {
+          name: generator.linkify('Husky', 'https://typicode.github.io/husky/'),
+          value: 'husky'
+        },
+        {
+          name: generator.linkify('Lefthook', 'https://github.com/evilmartians/lefthook'),
+          value: 'lefthook'
+        },
+        {
+          name: generator.linkify('simple-git-hooks', 'https://github.com/toplenboren/simple-git-hooks'),
+          value: 'simple-git-hooks'
+        },
+        {
+          name: 'None',
+          value: 'none'
+        }
+      ]
+    },
+    {
+      type: 'confirm',
+      name: 'commitlint',
+      message: 'Check commit messages against Conventional Commits?',
+      default: false,
+      store: true,
+      when: answers => answers.gitHooks && answers.gitHooks !== 'none'
+    },
+    {
+      type: 'checkbox',
+      name: 'prePushHooks',
+      message: 'Run before pushing',
+      store: true,
+      when: answers => answers.gitHooks && answers.gitHooks !== 'none',
+      choices: answers => [
+        {
+          name: 'build',
+          value: 'build',
+          checked: false
+        },
+        {
+          name: 'test',
+          value: 'test',
+          checked: false,
+          disabled: answers.features?.includes('code') && answers.testRunner !== 'none'
+            ? false
+            : 'No tests'
+        }
+      ]
+    },
+    {
+      type: 'confirm',
+      name: 'vscodeTasks',
+      message: 'Create Visual Studio Code tasks?',
+      when: () =>  !generator._getWorkspace() && (process.env.EDITOR?.includes(`${sep}code`) || process.env.VISUAL?.includes(`${sep}code`))
+        ? true
+        : false
+    },
+    {
+      type: 'confirm',
+      name: 'initGit',
+      message: 'Initialize Git repository?',
+      when: () => !generator._getWorkspace(),
+      default: generator.fs.exists(join(process.cwd(), '.git', 'config'))
+        ? false
+        : true
+    },
+    {
+      type: 'confirm',
+      name: 'linkDevPackage',
+      message: 'Link as developer package?',
+      default: true,
+      store: true
+    },
+    {
+      type: 'confirm',
+      name: 'openInEditor',
+      message: 'Open in default editor?',
+      default: true,
+      store: true,
+      when: () => process.env.EDITOR
+        ? true
+        : false
+    },
+  ];
+}
+
+module.exports = {
+  getConfigQuestions,
+  getQuestions
+};
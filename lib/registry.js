@@ -0,0 +1,83 @@
+const crossFetch = require('cross-fetch');
+
+// Splits pinned packages, e.g. linter@2.0.0 => { name: 'linter', version: '2.0.0' }
+function parsePackage(str) {
+  const [name, version] = str.trim().split('@');
+
+  return {
+    name,
+    version
+  };
+}
+
+// Looks up packages in the Atom registry or one of its stand-ins, such as Pulsar's backend
+function createRegistryClient(options = {}) {
+  const {
+    registryURL = 'https://atom.io/api/packages',
+    fetch = crossFetch,
+    warn = console.warn
+  } = options;
+
+  // Each run asks for the same packages while validating, so lookups are cached by name
+  const cache = new Map();
+
+  function getPackage(name) {
+    if (!cache.has(name)) {
+      cache.set(name, fetch(`${registryURL}/${encodeURIComponent(name)}`).then(async response => {
+        if (response.status === 404) {
+          return null;
+        }
+
+        if (!response.ok) {
+          throw Error(`${registryURL} responded with ${response.status}`);
+        }
+
+        return response.json();
+      }).catch(error => {
+        // Failed lookups are retried the next time
+        cache.delete(name);
+
+        throw error;
+      }));
+    }
+
+    return cache.get(name);
+  }
+
+  // Resolves to the packages that aren't published, pinned versions included
+  async function findMissing(packages) {
+    let results;
+
+    try {
+      results = await Promise.all(packages.map(async str => {
+        const { name, version } = parsePackage(str);
+        const metadata = await getPackage(name);
+
+        if (!metadata) {
+          return str;
+        }
+
+        return version && !Object.keys(metadata.versions || {}).includes(version)
+          ? str
+          : null;
+      }));
+    } catch (error) {
+      warn(`Could not check ${packages.join(', ')} against ${registryURL} (${error.message}), assuming the packages exist`);
+
+      return [];
+    }
+
+    return results.filter(result => result !== null);
+  }
+
+  return {
+    findMissing,
+    getPackage,
+    registryURL
+  };
+}
+
+module.exports = {
+  createRegistryClient,
+  parsePackage
+};
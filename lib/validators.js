@@ -1,5 +1,3 @@
-const fetch = require('cross-fetch');
-
 function name(str, options) {
   if (str.length === 0) {
     return 'Please enter a name for your package';
@@ -40,13 +38,171 @@ function grammar(str) {
     : 'You need to specify a valid language package';
 }
 
+function grammarName(str) {
+  return str.trim().length
+    ? true
+    : 'You need to specify a language name';
+}
+
+function scopeName(str) {
+  return /^[a-z0-9_-]+(\.[a-z0-9_+-]+)+$/i.test(str.trim())
+    ? true
+    : 'You need to specify a valid scope name, e.g. source.foo';
+}
+
+function scopeNames(str) {
+  const scopes = str.split(',').map(item => item.trim());
+
+  if (scopes.filter(scope => scope.length).length === 0) {
+    return 'You need to specify at least one scope name';
+  }
+
+  const invalidScope = scopes.find(scope => scopeName(scope) !== true);
+
+  return invalidScope
+    ? `'${invalidScope}' is not a valid scope name, e.g. source.foo`
+    : true;
+}
+
+function services(str) {
+  const entries = str.split(',').map(item => item.trim()).filter(item => item.length);
+  const invalidEntry = entries.find(entry => !/^[a-z0-9_.-]+@[~^<>=]*\d+(\.\d+){0,2}$/i.test(entry));
+
+  return invalidEntry
+    ? `'${invalidEntry}' is not a valid service, e.g. status-bar@^1.0.0`
+    : true;
+}
+
+function scopeSelectors(str) {
+  const selectors = str.split(',').map(item => item.trim());
+
+  if (selectors.filter(selector => selector.length).length === 0) {
+    return 'You need to specify at least one scope selector';
+  } else if (selectors.some(selector => selector !== '*' && !selector.startsWith('.'))) {
+    return 'Scope selectors must start with a dot, e.g. .source.js';
+  }
+
+  return true;
+}
+
+function fileTypes(str) {
+  const extensions = str.split(',').map(item => item.trim());
+
+  if (extensions.filter(extension => extension.length).length === 0) {
+    return 'You need to specify at least one file type';
+  } else if (extensions.some(extension => extension.startsWith('.'))) {
+    return 'File types must not start with a dot';
+  }
+
+  return true;
+}
+
+function parserModule(str) {
+  return /^(@[a-z0-9_.-]+\/)?[a-z0-9_.-]+$/.test(str.trim())
+    ? true
+    : 'You need to specify a valid Node module name';
+}
+
+const reservedWords = [
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally',
+  'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'return',
+  'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void',
+  'while', 'with', 'yield'
+];
+
+function command(str) {
+  if (/^[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(str) !== true) {
+    return 'The command name can only contain lowercase letters, numbers and dashes, e.g. toggle-panel';
+  } else if (reservedWords.includes(str)) {
+    return `The command name '${str}' is a reserved word`;
+  }
+
+  return true;
+}
+
+function selector(str) {
+  return str.trim().length
+    ? true
+    : 'You need to specify a target selector, e.g. atom-workspace';
+}
+
+function keybinding(str) {
+  return str.length === 0 || /^\S+( \S+)*$/.test(str)
+    ? true
+    : 'Keystrokes must be separated by a single space, e.g. ctrl-k ctrl-t';
+}
+
+function configKey(str) {
+  return /^[a-zA-Z][a-zA-Z0-9_]*$/.test(str)
+    ? true
+    : 'The key can only contain letters, numbers and underscores, e.g. showIcons';
+}
+
+function configEnum(str) {
+  return str.split(',').filter(item => item.trim().length).length
+    ? true
+    : 'You need to specify at least one value';
+}
+
+function configNumber(str, type) {
+  if (str.trim().length === 0) {
+    return true;
+  }
+
+  return (type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/).test(str.trim())
+    ? true
+    : `You need to specify a valid ${type}`;
+}
+
+function configDefault(str, answers) {
+  const value = str.trim();
+
+  switch (answers.type) {
+    case 'boolean':
+      return ['true', 'false'].includes(value)
+        ? true
+        : 'The default value must be true or false';
+
+    case 'color':
+      return /^(#[0-9a-f]{3}|#[0-9a-f]{6}|rgba?\(.+\)|[a-z]+)$/i.test(value)
+        ? true
+        : 'The default value must be a valid CSS color';
+
+    case 'enum':
+      return answers.enum.split(',').map(item => item.trim()).includes(value)
+        ? true
+        : 'The default value must be one of the allowed values';
+
+    case 'integer':
+    case 'number': {
+      const numberResult = value.length
+        ? configNumber(value, answers.type)
+        : `You need to specify a valid ${answers.type}`;
+
+      if (numberResult !== true) {
+        return numberResult;
+      } else if (answers.minimum?.length && Number(value) < Number(answers.minimum)) {
+        return 'The default value must not be lower than the minimum';
+      } else if (answers.maximum?.length && Number(value) > Number(answers.maximum)) {
+        return 'The default value must not be higher than the maximum';
+      }
+
+      return true;
+    }
+
+    default:
+      return true;
+  }
+}
+
 function workspaceOpener(str) {
   if (str.trim().length === 0) {
     return 'You need to specify at least one URI';
   }
 
-  const workspaceOpeners = str.split(',') || [str];
-  const invalidOpeners = workspaceOpeners.filter(workspaceOpener => !workspaceOpener.startsWith('atom://' || workspaceOpener.length <= 'atom://'.length));
+  const workspaceOpeners = str.split(',').map(item => item.trim());
+  const invalidOpeners = workspaceOpeners.filter(workspaceOpener => !workspaceOpener.startsWith('atom://') || workspaceOpener.length <= 'atom://'.length);
 
   if (invalidOpeners.length) {
     return 'You need to specify a valid workspace URI, prefixed with atom://';
@@ -55,23 +211,22 @@ function workspaceOpener(str) {
   return true;
 }
 
-async function atomDependencies(str) {
+async function atomDependencies(str, registry) {
   if (str.trim().length === 0) {
     return 'You need to specify at least one package';
   }
 
-  const packages = str.split(',');
-  const promises = [];
+  const packages = str.split(',').map(pkg => pkg.trim());
+  const invalidPackages = packages.filter(pkg => !/^[a-z0-9_.-]+(@\d+\.\d+\.\d+)?$/i.test(pkg));
 
-  for (var pkg of packages) {
-    promises.push(await fetch(`https://atom.io/api/packages/${pkg}`));
+  if (invalidPackages.length) {
+    return `Expected package names, optionally pinned to a version (e.g. linter@2.0.0), got ${invalidPackages.map(pkg => `'${pkg}'`).join(', ')}`;
   }
 
-  try {
-    await Promise.all(promises);
-  } catch (err) {
-    // TODO fix message
-    return `The package '${pkg}' could not be found`;
+  const missingPackages = await registry.findMissing(packages);
+
+  if (missingPackages.length) {
+    return `Could not find ${missingPackages.map(pkg => `'${pkg}'`).join(', ')} at ${registry.registryURL}`;
   }
 
   return true;
@@ -83,6 +238,20 @@ module.exports = {
   user,
   rootScope,
   grammar,
+  grammarName,
+  scopeName,
+  scopeNames,
+  scopeSelectors,
+  services,
+  fileTypes,
+  parserModule,
+  command,
+  selector,
+  keybinding,
+  configKey,
+  configEnum,
+  configNumber,
+  configDefault,
   workspaceOpener,
   atomDependencies
 };
@@ -0,0 +1,1223 @@
+const assert = require('yeoman-assert');
+const helpers = require('yeoman-test');
+const { join } = require('path');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const generatorPath = join(__dirname, '../generators/app');
+
+const extensions = {
+  coffeescript: 'coffee',
+  javascript: 'js',
+  typescript: 'ts'
+};
+
+const defaultOptions = {
+  'clear': false,
+  'yes': true,
+  'name': 'foo-bar',
+  'description': 'Lorem ipsum',
+  'author': 'jane-doe',
+  'init-git': false,
+  'link-dev-package': false,
+  'open-in-editor': false
+};
+
+// Runs the app generator in a temporary folder, recording installs and messages instead of running and printing them
+async function runGenerator(options, prepareDir = () => {}) {
+  const installs = [];
+  const logs = [];
+
+  const result = await helpers.run(generatorPath)
+    .inTmpDir(prepareDir)
+    .withOptions({
+      ...defaultOptions,
+      ...options
+    })
+    .on('ready', generator => {
+      generator._scheduleCommand = (command, args) => installs.push({ command, args });
+      generator.log = message => logs.push(message);
+    });
+
+  return {
+    installs,
+    logs,
+    result
+  };
+}
+
+// Dependencies are pinned in the manifest, installs don't list them
+function readDependencies() {
+  const { dependencies, devDependencies } = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+  return [
+    Object.keys(dependencies || {}),
+    Object.keys(devDependencies || {})
+  ];
+}
+
+describe('app', function () {
+  const { log } = console;
+
+  this.timeout(20000);
+
+  // Keeps yosay out of the test report
+  before(() => {
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = log;
+  });
+
+  ['typescript', 'javascript', 'coffeescript'].forEach(language => {
+    ['rollup', 'webpack'].forEach(bundler => {
+      ['code', 'code,grammars,keymaps,menus,snippets,styles'].forEach(features => {
+        ['npm', 'yarn'].forEach(packageManager => {
+          describe(`${language} × ${bundler} × ${features} × ${packageManager}`, () => {
+            const extension = extensions[language];
+            const dataExtension = language === 'coffeescript' ? 'cson' : 'json';
+            let run;
+
+            before(async () => {
+              run = await runGenerator({
+                language,
+                bundler,
+                features,
+                'package-manager': packageManager
+              });
+            });
+
+            after(() => run.result.cleanup());
+
+            it('creates source files', () => {
+              assert.file([
+                `src/main.${extension}`,
+                `src/config.${extension}`,
+                `src/hello-world.${extension}`,
+                `spec/foo-bar-spec.${extension}`,
+                `${bundler}.config.js`,
+                'LICENSE',
+                'README.md',
+                '.editorconfig',
+                '.gitignore',
+                '.husky/pre-commit'
+              ]);
+            });
+
+            it('creates linter configurations', () => {
+              if (language === 'coffeescript') {
+                assert.file(['coffeelint.json', '.coffeelintignore']);
+                assert.noFile(['.eslintrc.cjs', '.babelrc']);
+              } else {
+                assert.file(['.eslintrc.cjs', '.babelrc']);
+                assert.noFile('coffeelint.json');
+              }
+            });
+
+            it('creates tsconfig.json for TypeScript with Webpack', () => {
+              if (language === 'typescript' && bundler === 'webpack') {
+                assert.file('tsconfig.json');
+              } else {
+                assert.noFile('tsconfig.json');
+              }
+            });
+
+            it('creates feature files', () => {
+              const featureFiles = [
+                `grammars/foo-bar.${dataExtension}`,
+                `keymaps/foo-bar.${dataExtension}`,
+                `menus/foo-bar.${dataExtension}`,
+                `snippets/foo-bar.${dataExtension}`,
+                'styles/foo-bar.less'
+              ];
+
+              if (features.includes('styles')) {
+                assert.file(featureFiles);
+              } else {
+                assert.noFile(featureFiles);
+              }
+            });
+
+            it('writes the manifest', () => {
+              assert.jsonFileContent('package.json', {
+                name: 'foo-bar',
+                description: 'Lorem ipsum',
+                main: './lib/main',
+                scripts: {
+                  build: bundler === 'rollup' ? 'rollup --config' : 'webpack --mode production',
+                  test: 'atom --test spec'
+                },
+                repository: {
+                  url: 'https://github.com/jane-doe/atom-foo-bar'
+                },
+                activationCommands: {
+                  'atom-workspace': ['foo-bar:hello-world']
+                }
+              });
+            });
+
+            it('renders templates', () => {
+              assert.fileContent(`src/main.${extension}`, 'foo-bar:hello-world');
+              assert.fileContent(`spec/foo-bar-spec.${extension}`, 'foo-bar:hello-world');
+              assert.fileContent('LICENSE', 'MIT License');
+              assert.noFileContent([
+                [`src/main.${extension}`, /<%|%>/],
+                [`src/config.${extension}`, /<%|%>/],
+                ['README.md', /<%|%>/]
+              ]);
+            });
+
+            it(`installs dependencies with ${packageManager}`, () => {
+              assert.ok(run.installs.length);
+              assert.ok(run.installs.every(install => install.command === packageManager));
+
+              const [, devDependencies] = readDependencies();
+
+              assert.ok(devDependencies.includes(bundler));
+
+              if (language === 'typescript') {
+                assert.ok(devDependencies.includes('typescript'));
+              }
+            });
+          });
+        });
+      });
+    });
+  });
+
+  [
+    ['esbuild', 'node esbuild.config.mjs', 'node esbuild.config.mjs --watch'],
+    ['parcel', 'parcel build --no-source-maps', 'parcel watch --no-hmr']
+  ].forEach(([bundler, build, start]) => {
+    ['typescript', 'javascript', 'coffeescript'].forEach(language => {
+      describe(`${language} × ${bundler}`, () => {
+        let run;
+
+        before(async () => {
+          run = await runGenerator({
+            language,
+            bundler,
+            features: 'code'
+          });
+        });
+
+        after(() => run.result.cleanup());
+
+        it('writes the bundler configuration', () => {
+          assert.jsonFileContent('package.json', {
+            scripts: {
+              build,
+              start
+            }
+          });
+
+          if (bundler === 'esbuild') {
+            assert.fileContent('esbuild.config.mjs', `src/main.${extensions[language]}`);
+          } else {
+            assert.noFile('esbuild.config.mjs');
+            assert.jsonFileContent('package.json', {
+              targets: {
+                main: false,
+                atom: {
+                  source: `src/main.${extensions[language]}`,
+                  distDir: 'lib'
+                }
+              }
+            });
+          }
+        });
+
+        it('compiles without Babel', () => {
+          const [, devDependencies] = readDependencies();
+
+          assert.noFile('.babelrc');
+          assert.ok(devDependencies.includes(bundler));
+          assert.ok(!devDependencies.includes('@babel/core'));
+
+          if (language === 'coffeescript') {
+            assert.ok(devDependencies.includes(bundler === 'esbuild' ? 'esbuild-coffeescript' : '@parcel/transformer-coffeescript'));
+          }
+        });
+      });
+    });
+  });
+
+  [
+    ['typescript', 'tsc', 'tsc --watch', 'tsconfig.json'],
+    ['javascript', 'babel src --out-dir lib', 'babel src --out-dir lib --watch --source-maps inline', '.babelrc'],
+    ['coffeescript', 'coffee --compile --output lib src', 'coffee --compile --watch --inline-map --output lib src', 'coffeelint.json']
+  ].forEach(([language, build, start, configFile]) => {
+    describe(`${language} without bundler`, () => {
+      let run;
+
+      before(async () => {
+        run = await runGenerator({
+          language,
+          bundler: 'none',
+          features: 'code'
+        });
+      });
+
+      after(() => run.result.cleanup());
+
+      it('transpiles src to lib', () => {
+        assert.file(configFile);
+        assert.noFile(['rollup.config.js', 'webpack.config.js', 'esbuild.config.mjs']);
+        assert.jsonFileContent('package.json', {
+          main: './lib/main',
+          scripts: {
+            build,
+            start
+          }
+        });
+      });
+
+      it('installs no bundler', () => {
+        const [, devDependencies] = readDependencies();
+
+        assert.ok(!devDependencies.some(dependency => /rollup|webpack|esbuild|parcel/.test(dependency)));
+      });
+
+      if (language === 'typescript') {
+        it('keeps imports inside of src', () => {
+          assert.fileContent('src/config.ts', 'const name = "foo-bar";');
+          assert.noFileContent('src/config.ts', 'package.json');
+        });
+      }
+    });
+  });
+
+  describe('with only a name', () => {
+    let result;
+
+    before(async () => {
+      result = await helpers.run(generatorPath)
+        .withOptions({
+          'clear': false,
+          'yes': true,
+          'name': 'foo-bar',
+          'init-git': false,
+          'link-dev-package': false,
+          'open-in-editor': false
+        })
+        .on('ready', generator => {
+          generator._scheduleCommand = () => {};
+          // Keeps the GitHub lookup of the username offline
+          generator.user.github.username = async () => '';
+        });
+    });
+
+    after(() => result.cleanup());
+
+    it('accepts empty defaults', () => {
+      const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+      assert.strictEqual(manifest.name, 'foo-bar');
+      assert.strictEqual(manifest.description, '');
+      assert.strictEqual(manifest.repository, undefined);
+    });
+  });
+
+  describe('for Pulsar', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'target-editor': 'pulsar'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('writes Pulsar install instructions', () => {
+      assert.fileContent([
+        ['README.md', '$ ppm install foo-bar'],
+        ['README.md', 'https://web.pulsar-edit.dev/packages/foo-bar'],
+        ['README.md', '~/.pulsar/packages/']
+      ]);
+      assert.noFileContent('README.md', 'apm');
+    });
+
+    it('targets Pulsar versions', () => {
+      assert.jsonFileContent('package.json', {
+        homepage: 'https://web.pulsar-edit.dev/packages/foo-bar',
+        engines: {
+          atom: '>=1.100.0 <2.0.0'
+        }
+      });
+    });
+  });
+
+  describe('with CI', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'target-editor': 'both',
+        'add-config': 'azurePipelines,circleCI,githubActions,gitlabCI,travisCI',
+        'ci-release': true
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('builds with a Node version matrix', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.deepStrictEqual(jobs.build.strategy.matrix['node-version'], ['22', '24']);
+      assert.fileContent('.travis.yml', /node_js:\n {2}- "22"\n {2}- "24"/);
+      assert.noFileContent('.travis.yml', 'g++');
+    });
+
+    it('runs specs in each editor under xvfb', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.deepStrictEqual(jobs.test.strategy.matrix.include.map(({ editor }) => editor), ['pulsar', 'atom']);
+      assert.fileContent([
+        ['.circleci/config.yml', 'xvfb-run --auto-servernum << parameters.editor >> --test spec'],
+        ['.travis.yml', 'xvfb-run --auto-servernum pulsar --test spec'],
+        ['.travis.yml', 'xvfb-run --auto-servernum atom --test spec'],
+        ['.gitlab-ci.yml', 'xvfb-run --auto-servernum $EDITOR --test spec'],
+        ['azure-pipelines.yml', 'xvfb-run --auto-servernum $(editor) --test spec']
+      ]);
+    });
+
+    it('publishes version tags', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.strictEqual(jobs.release.if, `startsWith(github.ref, 'refs/tags/v')`);
+      assert.ok(jobs.release.steps.some(step => step.run?.startsWith('ppm publish --tag')));
+      assert.fileContent([
+        ['.circleci/config.yml', 'ppm publish --tag "$CIRCLE_TAG"'],
+        ['.travis.yml', 'ppm publish --tag "$TRAVIS_TAG"'],
+        ['.gitlab-ci.yml', 'ppm publish --tag "$CI_COMMIT_TAG"'],
+        ['azure-pipelines.yml', 'ppm publish --tag "$(Build.SourceBranchName)"']
+      ]);
+    });
+
+    it('caches dependencies inside of the project on GitLab and Azure', () => {
+      const gitlab = yaml.load(fs.readFileSync('.gitlab-ci.yml', 'utf8'));
+
+      assert.deepStrictEqual(gitlab.stages, ['lint', 'build', 'test', 'release']);
+      assert.deepStrictEqual(gitlab['.install'].cache.paths, ['.npm/']);
+      assert.fileContent('azure-pipelines.yml', 'path: $(System.DefaultWorkingDirectory)/.npm');
+    });
+  });
+
+  describe('with CI but without tests', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'test-runner': 'none',
+        'add-config': 'githubActions'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('only builds', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.deepStrictEqual(Object.keys(jobs), ['build']);
+    });
+  });
+
+  describe('with semantic-release', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'release-tool': 'semantic-release',
+        'add-config': 'githubActions,travisCI'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('releases with semantic-release', () => {
+      const [, devDependencies] = readDependencies();
+
+      assert.file(['CHANGELOG.md', '.releaserc.json']);
+      assert.jsonFileContent('package.json', {
+        scripts: {
+          release: 'semantic-release'
+        }
+      });
+      assert.ok(devDependencies.includes('@semantic-release/exec'));
+    });
+
+    it('releases from the default branch on CI', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.strictEqual(jobs.release.if, `github.event_name == 'push' && github.ref_type == 'branch'`);
+      assert.ok(jobs.release.steps.some(step => step.run === 'npm run release'));
+      assert.fileContent('.travis.yml', 'if: type = push AND branch IN (main, master)');
+    });
+  });
+
+  describe('with changesets', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'package-manager': 'pnpm',
+        'release-tool': 'changesets',
+        'add-config': 'githubActions,gitlabCI'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('adds the changesets configuration', () => {
+      assert.file(['CHANGELOG.md', '.changeset/config.json']);
+      assert.fileContent('.changeset/README.md', 'pnpm exec changeset');
+      assert.noFile('.releaserc.json');
+    });
+
+    it('publishes pushed tags and creates a GitHub release', () => {
+      const { jobs } = yaml.load(fs.readFileSync('.github/workflows/nodejs.yml', 'utf8'));
+
+      assert.strictEqual(jobs.release.if, `startsWith(github.ref, 'refs/tags/v')`);
+      assert.ok(jobs.release.steps.some(step => step.run === 'gh release create ${{ github.ref_name }} --generate-notes'));
+      assert.fileContent('.gitlab-ci.yml', 'https://api.github.com/repos/jane-doe/atom-foo-bar/releases');
+    });
+  });
+
+  describe('with Lefthook', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code,styles',
+        'language': 'javascript',
+        'package-manager': 'pnpm',
+        'git-hooks': 'lefthook',
+        'commitlint': true,
+        'pre-push-hooks': 'build,test'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('installs the hooks with Lefthook', () => {
+      const [, devDependencies] = readDependencies();
+      const hooks = yaml.load(fs.readFileSync('lefthook.yml', 'utf8'));
+
+      assert.noFile('.husky/pre-commit');
+      assert.deepStrictEqual(hooks, {
+        'pre-commit': { jobs: [{ run: 'pnpm exec lint-staged' }] },
+        'commit-msg': { jobs: [{ run: 'pnpm exec commitlint --edit {1}' }] },
+        'pre-push': { jobs: [{ run: 'pnpm run build && pnpm run test' }] }
+      });
+      assert.jsonFileContent('package.json', {
+        scripts: {
+          postinstall: 'lefthook install'
+        }
+      });
+      assert.ok(devDependencies.includes('lefthook'));
+      assert.ok(!devDependencies.includes('husky'));
+    });
+
+    it('checks commit messages against Conventional Commits', () => {
+      const [, devDependencies] = readDependencies();
+
+      assert.jsonFileContent('.commitlintrc.json', {
+        extends: ['@commitlint/config-conventional']
+      });
+      assert.ok(devDependencies.includes('@commitlint/cli'));
+    });
+
+    it('lints the staged files of the chosen language', () => {
+      assert.jsonFileContent('package.json', {
+        'lint-staged': {
+          '*.js': 'eslint --cache --fix',
+          '*.{css,less}': 'stylelint --fix'
+        }
+      });
+    });
+  });
+
+  describe('with simple-git-hooks', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'git-hooks': 'simple-git-hooks',
+        'commitlint': true
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('declares the hooks in the manifest', () => {
+      assert.noFile(['.husky/pre-commit', 'lefthook.yml']);
+      assert.jsonFileContent('package.json', {
+        'scripts': {
+          postinstall: 'simple-git-hooks'
+        },
+        'simple-git-hooks': {
+          'pre-commit': 'npx lint-staged',
+          'commit-msg': 'npx commitlint --edit $1'
+        }
+      });
+    });
+  });
+
+  describe('without git hooks', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'git-hooks': 'none'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('skips the hook manager and lint-staged', () => {
+      const [, devDependencies] = readDependencies();
+      const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+      assert.noFile(['.husky/pre-commit', 'lefthook.yml', '.commitlintrc.json']);
+      assert.strictEqual(manifest.scripts.postinstall, undefined);
+      assert.strictEqual(manifest['lint-staged'], undefined);
+      assert.ok(!devDependencies.includes('husky'));
+      assert.ok(!devDependencies.includes('lint-staged'));
+    });
+  });
+
+  describe('with Parcel and Etch views', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'javascript',
+        'bundler': 'parcel',
+        'workspace-openers': true,
+        'workspace-opener-uris': 'atom://foo-bar/settings',
+        'view-framework': 'etch'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('compiles JSX with Etch', () => {
+      assert.jsonFileContent('jsconfig.json', {
+        compilerOptions: {
+          jsxFactory: 'etch.dom'
+        }
+      });
+    });
+  });
+
+  [
+    ['pnpm', 'pnpm', 'pnpm-lock.yaml', 'pnpm install --frozen-lockfile', 'pnpm exec lint-staged'],
+    ['yarn-berry', 'yarn', 'yarn.lock', 'yarn install --immutable', 'yarn lint-staged'],
+    ['bun', 'bun', 'bun.lock', 'bun install --frozen-lockfile', 'bunx lint-staged']
+  ].forEach(([packageManager, command, lockfile, ciInstall, lintStaged]) => {
+    describe(`with ${packageManager}`, () => {
+      let run;
+
+      before(async () => {
+        run = await runGenerator({
+          'features': 'code',
+          'language': 'typescript',
+          'package-manager': packageManager,
+          'yarn-node-linker': 'pnp',
+          'add-config': 'circleCI,githubActions,travisCI'
+        });
+      });
+
+      after(() => run.result.cleanup());
+
+      it(`installs dependencies with ${command}`, () => {
+        assert.ok(run.installs.length);
+        assert.ok(run.installs.every(install => install.command === command));
+      });
+
+      it('ignores lockfiles of other package managers', () => {
+        assert.fileContent('.gitignore', 'package-lock.json');
+        assert.noFileContent('.gitignore', new RegExp(`^${lockfile.replace('.', '\\.')}$`, 'm'));
+      });
+
+      it('runs lint-staged in the pre-commit hook', () => {
+        assert.fileContent('.husky/pre-commit', lintStaged);
+      });
+
+      it(`installs with ${ciInstall} on CI`, () => {
+        assert.fileContent([
+          ['.circleci/config.yml', ciInstall],
+          ['.circleci/config.yml', `checksum "${lockfile}"`],
+          ['.github/workflows/nodejs.yml', ciInstall],
+          ['.travis.yml', ciInstall]
+        ]);
+        assert.noFileContent('.github/workflows/nodejs.yml', 'npm ci');
+      });
+
+      if (packageManager === 'yarn-berry') {
+        it('configures the node linker', () => {
+          assert.fileContent('.yarnrc.yml', 'nodeLinker: pnp');
+          assert.fileContent('.gitignore', '.pnp.*');
+          assert.ok(run.installs[0].args.join(' ') === 'set version stable');
+        });
+      }
+    });
+  });
+
+  describe('in dry-run mode', () => {
+    const plans = [];
+    let result;
+
+    before(async () => {
+      console.log = message => plans.push(message);
+
+      result = await helpers.run(generatorPath)
+        .withOptions({
+          ...defaultOptions,
+          'features': 'code,keymaps',
+          'language': 'typescript',
+          'add-config': 'githubActions',
+          'init-git': true,
+          'dry-run': true,
+          'plan-format': 'json',
+          'skipInstall': false
+        });
+
+      console.log = () => {};
+    });
+
+    after(() => result.cleanup());
+
+    it('writes nothing', () => {
+      assert.noFile(['package.json', 'src/main.ts', '.github/workflows/nodejs.yml', '.yo-rc.json']);
+    });
+
+    it('prints files, folders and commands as JSON', () => {
+      const plan = JSON.parse(plans.join('\n'));
+
+      assert.deepStrictEqual(plan.files.find(file => file.path === 'src/main.ts'), { path: 'src/main.ts', action: 'create' });
+      assert.ok(plan.files.some(file => file.path === 'keymaps/foo-bar.json'));
+      assert.ok(plan.directories.includes('.github/workflows'));
+      assert.deepStrictEqual(plan.commands, ['git init', 'npm install']);
+    });
+  });
+
+  describe('with verification', () => {
+    const installs = [];
+    let result;
+
+    before(async () => {
+      result = await helpers.run(generatorPath)
+        .withOptions({
+          ...defaultOptions,
+          'verify': true,
+          'cache': '/tmp/npm-cache'
+        })
+        .on('ready', generator => {
+          // The doctor runs the install of the generated package
+          generator.composeWith = () => {};
+          generator._scheduleCommand = (command, args) => installs.push({ command, args });
+        });
+    });
+
+    after(() => result.cleanup());
+
+    it('leaves installing dependencies to the doctor', () => {
+      const [, devDependencies] = readDependencies();
+
+      assert.ok(devDependencies.includes('eslint'));
+      assert.deepStrictEqual(installs, []);
+    });
+  });
+
+  describe('in upgrade mode', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({ upgrade: true }, dir => {
+        fs.mkdirSync(join(dir, 'src'));
+        fs.writeFileSync(join(dir, 'src/main.ts'), '// Custom code\n');
+        fs.writeFileSync(join(dir, '.eslintrc.cjs'), `module.exports = { extends: ['eslint'], rules: { semi: 'error' } };\n`);
+        fs.writeFileSync(join(dir, '.yo-rc.json'), JSON.stringify({
+          '@atxm/generator-package': {
+            bundler: 'rollup',
+            features: ['code'],
+            language: 'typescript'
+          }
+        }));
+        fs.writeFileSync(join(dir, 'package.json'), JSON.stringify({
+          name: 'foo-bar',
+          license: 'MIT',
+          main: './lib/index',
+          keywords: ['foo'],
+          scripts: {
+            build: 'make',
+            custom: 'node script.js'
+          },
+          dependencies: {
+            lodash: '^4.17.21'
+          },
+          devDependencies: {
+            typescript: '^4.0.0'
+          }
+        }));
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('merges new defaults into package.json', () => {
+      assert.jsonFileContent('package.json', {
+        main: './lib/main',
+        keywords: ['foo'],
+        scripts: {
+          build: 'make',
+          custom: 'node script.js',
+          lint: 'npm-run-all --parallel lint:*'
+        },
+        dependencies: {
+          lodash: '^4.17.21'
+        }
+      });
+    });
+
+    it('suggests changes to .eslintrc.cjs without rewriting it', () => {
+      assert.equalsFileContent('.eslintrc.cjs', `module.exports = { extends: ['eslint'], rules: { semi: 'error' } };\n`);
+      assert.ok(run.logs.some(message => /Suggested changes to \.eslintrc\.cjs:[^]*\+ extends: plugin:json\/recommended/.test(message)));
+    });
+
+    it('keeps existing files', () => {
+      assert.equalsFileContent('src/main.ts', '// Custom code\n');
+      assert.file(['README.md', 'rollup.config.js']);
+    });
+
+    it('adds missing dependencies', () => {
+      const [, devDependencies] = readDependencies();
+
+      assert.ok(devDependencies.includes('rollup'));
+      assert.jsonFileContent('package.json', {
+        devDependencies: {
+          typescript: '^4.0.0'
+        }
+      });
+      assert.deepStrictEqual(run.installs, [{ command: 'npm', args: ['install'] }]);
+    });
+  });
+
+  describe('without code', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        features: 'grammars,snippets,styles'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('creates feature files only', () => {
+      assert.file([
+        'grammars/foo-bar.json',
+        'snippets/foo-bar.json',
+        'styles/foo-bar.less'
+      ]);
+
+      assert.noFile([
+        'src/main.js',
+        'src/main.ts',
+        'src/main.coffee',
+        'rollup.config.js',
+        'webpack.config.js',
+        'spec'
+      ]);
+    });
+
+    it('writes placeholder scripts', () => {
+      assert.jsonFileContent('package.json', {
+        scripts: {
+          build: 'echo "Nothing to build"',
+          test: 'echo "Nothing to test"'
+        }
+      });
+
+      assert.noJsonFileContent('package.json', {
+        main: './lib/main'
+      });
+    });
+
+    it('installs dependencies with npm', () => {
+      assert.ok(run.installs.every(install => install.command === 'npm'));
+    });
+  });
+
+  ['syntax', 'ui'].forEach(themeType => {
+    describe(`as a ${themeType} theme`, () => {
+      let run;
+
+      before(async () => {
+        run = await runGenerator({
+          'package-kind': `${themeType}-theme`
+        });
+      });
+
+      after(() => run.result.cleanup());
+
+      it('creates the theme skeleton', () => {
+        assert.file([
+          'index.less',
+          'styles/base.less',
+          'styles/colors.less',
+          'styles/editor.less',
+          `styles/${themeType}-variables.less`
+        ]);
+
+        assert.noFile([
+          'src',
+          'styles/foo-bar.less'
+        ]);
+      });
+
+      it('declares the theme in package.json', () => {
+        assert.jsonFileContent('package.json', {
+          theme: themeType,
+          scripts: {
+            'lint:styles': 'stylelint --allow-empty-input index.less styles/*.{css,less}'
+          }
+        });
+
+        // Atom would try to load a main module named false
+        assert.ok(!('main' in JSON.parse(fs.readFileSync('package.json', 'utf8'))));
+      });
+
+      it('lints LESS syntax', () => {
+        assert.jsonFileContent('.stylelintrc', {
+          customSyntax: 'postcss-less'
+        });
+      });
+    });
+  });
+
+  describe('in a workspace', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        language: 'typescript',
+        bundler: 'webpack',
+        features: 'code,styles'
+      }, dir => {
+        fs.mkdirSync(join(dir, '.github/workflows'), { recursive: true });
+        fs.mkdirSync(join(dir, 'packages/foo-bar'), { recursive: true });
+        fs.writeFileSync(join(dir, 'package.json'), JSON.stringify({
+          name: 'monorepo',
+          private: true,
+          workspaces: ['tools/*']
+        }));
+        fs.writeFileSync(join(dir, '.eslintrc.cjs'), 'module.exports = { root: true };\n');
+        fs.writeFileSync(join(dir, '.stylelintrc'), '{ "extends": "stylelint-config-standard" }\n');
+        fs.writeFileSync(join(dir, 'tsconfig.base.json'), '{ "compilerOptions": { "strict": true } }\n');
+        fs.writeFileSync(join(dir, '.github/workflows/ci.yml'), [
+          '# Runs once per package',
+          'on: push',
+          'jobs:',
+          '  test:',
+          '    strategy:',
+          '      matrix:',
+          '        package: [tools/lint]'
+        ].join('\n'));
+
+        process.chdir(join(dir, 'packages/foo-bar'));
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('registers the package at the workspace root', () => {
+      assert.jsonFileContent('../../package.json', {
+        workspaces: ['tools/*', 'packages/foo-bar']
+      });
+    });
+
+    it('prints the matrix entries to add to root workflows', () => {
+      assert.equalsFileContent('../../.github/workflows/ci.yml', [
+        '# Runs once per package',
+        'on: push',
+        'jobs:',
+        '  test:',
+        '    strategy:',
+        '      matrix:',
+        '        package: [tools/lint]'
+      ].join('\n'));
+      assert.ok(run.logs.includes('Add packages/foo-bar to the package matrix of the test job in .github/workflows/ci.yml'));
+    });
+
+    it('skips repository-level files', () => {
+      assert.noFile([
+        '.editorconfig',
+        '.gitattributes',
+        '.gitignore',
+        '.husky/pre-commit',
+        '.github/workflows/nodejs.yml'
+      ]);
+
+      assert.noJsonFileContent('package.json', {
+        scripts: {
+          postinstall: 'husky install'
+        }
+      });
+    });
+
+    it('extends the shared configurations', () => {
+      assert.fileContent('.eslintrc.cjs', `'../../.eslintrc.cjs'`);
+      assert.jsonFileContent('.stylelintrc', {
+        extends: '../../.stylelintrc'
+      });
+      assert.jsonFileContent('tsconfig.json', {
+        extends: '../../tsconfig.base.json'
+      });
+    });
+  });
+
+  describe('with Mocha', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'test-runner': 'mocha'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('creates the test runner', () => {
+      assert.fileContent('spec/runner.js', 'spec.ts');
+      assert.fileContent('spec/foo-bar-spec.ts', 'from \'chai\'');
+      assert.jsonFileContent('package.json', {
+        atomTestRunner: './spec/runner'
+      });
+    });
+  });
+
+  describe('without tests', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'test-runner': 'none'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('skips specs', () => {
+      assert.noFile('spec');
+      assert.jsonFileContent('package.json', {
+        scripts: {
+          test: 'echo \'Error: no test specified\' && exit 1'
+        }
+      });
+    });
+  });
+
+  [
+    { packageType: 'linter', sourceFile: 'src/linter.js', manifest: { providedServices: { linter: { versions: { '2.0.0': 'provideLinter' } } } } },
+    { packageType: 'autocomplete', sourceFile: 'src/provider.js', manifest: { providedServices: { 'autocomplete.provider': { versions: { '4.0.0': 'provideAutocompleteProvider' } } } } },
+    { packageType: 'status-bar', sourceFile: 'src/status-bar-tile.js', manifest: { consumedServices: { 'status-bar': { versions: { '^1.0.0': 'consumeStatusBar' } } } } },
+    { packageType: 'dock', sourceFile: 'src/dock-item.js', manifest: { workspaceOpeners: ['atom://foo-bar'] }, command: 'toggle' }
+  ].forEach(({ packageType, sourceFile, manifest, command }) => {
+    describe(`with the ${packageType} package type`, () => {
+      let run;
+
+      before(async () => {
+        run = await runGenerator({
+          'features': 'code,keymaps,menus',
+          'language': 'javascript',
+          'package-type': packageType
+        });
+      });
+
+      after(() => run.result.cleanup());
+
+      it('writes the preset source', () => {
+        assert.file(sourceFile);
+        assert.noFile('src/hello-world.js');
+        assert.noFileContent('spec/foo-bar-spec.js', 'foo-bar:hello-world');
+      });
+
+      it('writes the manifest', () => {
+        assert.jsonFileContent('package.json', manifest);
+      });
+
+      it('binds the command of the preset', () => {
+        if (command) {
+          assert.jsonFileContent('keymaps/foo-bar.json', {
+            'atom-workspace': {
+              'ctrl-alt-o': `foo-bar:${command}`
+            }
+          });
+          assert.fileContent('menus/foo-bar.json', `"command": "foo-bar:${command}"`);
+        } else {
+          assert.noFile(['keymaps/foo-bar.json', 'menus/foo-bar.json']);
+        }
+      });
+    });
+  });
+
+  describe('with services', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'services-question': true,
+        'consumed-services': 'status-bar@^1.0.0, foo-bar@^2.0.0',
+        'provided-services': 'baz@1.0.0'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('adds service methods', () => {
+      assert.fileContent('src/main.ts', 'consumeStatusBar(statusBar: StatusBar): Disposable');
+      assert.fileContent('src/main.ts', 'consumeFooBar(fooBar: FooBarService): Disposable');
+      assert.fileContent('src/main.ts', 'provideBaz(): BazService');
+      assert.fileContent('src/services.ts', 'export interface FooBarService');
+    });
+
+    it('declares services in the manifest', () => {
+      assert.jsonFileContent('package.json', {
+        consumedServices: {
+          'status-bar': { versions: { '^1.0.0': 'consumeStatusBar' } },
+          'foo-bar': { versions: { '^2.0.0': 'consumeFooBar' } }
+        },
+        providedServices: {
+          baz: { versions: { '1.0.0': 'provideBaz' } }
+        }
+      });
+    });
+  });
+
+  describe('with persisted state', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'persist-state': true
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('writes the state module', () => {
+      assert.fileContent('src/state.ts', 'export const STATE_VERSION = 1;');
+      assert.fileContent('src/main.ts', 'async activate(state?: SerializedState)');
+      assert.fileContent('src/main.ts', 'serialize(): SerializedState');
+    });
+
+    it('passes the state to activate() without a deserializer', () => {
+      assert.noFileContent('src/state.ts', 'deserializer');
+      assert.noFileContent('src/main.ts', 'deserializeState');
+      assert.strictEqual(JSON.parse(fs.readFileSync('package.json', 'utf8')).deserializers, undefined);
+    });
+  });
+
+  describe('with workspace views', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        'features': 'code',
+        'language': 'javascript',
+        'workspace-openers': true,
+        'workspace-opener-uris': 'atom://foo-bar/settings',
+        'view-framework': 'react'
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('writes the view', () => {
+      assert.fileContent('src/views/settings-view.js', 'export class SettingsView');
+      assert.fileContent('src/views/settings-view.js', 'serialize()');
+      assert.fileContent('src/main.js', 'case SETTINGS_VIEW_URI');
+      assert.fileContent('src/main.js', 'foo-bar:open-settings');
+    });
+
+    it('compiles JSX with the React preset', () => {
+      assert.fileContent('.babelrc', '@babel/preset-react');
+      assert.ok(readDependencies()[0].includes('react-dom'));
+    });
+  });
+
+  describe('with configuration options', () => {
+    let run;
+
+    before(async () => {
+      run = await runGenerator({
+        features: 'code',
+        language: 'typescript',
+        answers: join(__dirname, 'fixtures/answers.yml')
+      });
+    });
+
+    after(() => run.result.cleanup());
+
+    it('renders the configuration schema', () => {
+      assert.fileContent('src/config.ts', 'showIcons');
+      assert.fileContent('src/config.ts', 'export interface Config');
+    });
+  });
+
+  describe('with disabled choices', () => {
+    // The run fails before any files are written, so only its folder is removed
+    async function rejectGenerator(options, message) {
+      const context = helpers.run(generatorPath).withOptions({
+        ...defaultOptions,
+        ...options
+      });
+
+      await assert.rejects(context, message);
+      context.cleanup();
+    }
+
+    it('rejects Bitbucket Pipelines for public packages', async () => {
+      await rejectGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'add-config': 'bitbucketPipelines'
+      }, /'bitbucketPipelines' is disabled \(Private packages only\)/);
+    });
+
+    it('rejects the test pre-push hook without tests', async () => {
+      await rejectGenerator({
+        'features': 'code',
+        'language': 'typescript',
+        'test-runner': 'none',
+        'pre-push-hooks': 'build,test'
+      }, /'test' is disabled \(No tests\)/);
+    });
+  });
+});
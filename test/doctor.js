@@ -0,0 +1,113 @@
+const assert = require('assert');
+const helpers = require('yeoman-test');
+const { join } = require('path');
+const fs = require('fs');
+
+const generatorPath = join(__dirname, '../generators/doctor');
+
+const manifest = {
+  name: 'foo-bar',
+  scripts: {
+    'build': 'rollup --config',
+    'lint:code': 'eslint ./src/**/*.ts',
+    'lint:styles': 'echo "Nothing to lint"'
+  },
+  devDependencies: {}
+};
+
+const config = {
+  '@atxm/generator-package': {
+    bundler: 'rollup',
+    eslintConfig: 'eslint',
+    features: ['code'],
+    language: 'typescript'
+  }
+};
+
+// Runs the doctor with stubbed commands, failing those that match failingArgs
+async function runDoctor(options, failingArgs, packageManager = 'npm') {
+  const commands = [];
+  const lines = [];
+
+  const result = await helpers.run(generatorPath)
+    .inTmpDir(dir => {
+      fs.writeFileSync(join(dir, 'package.json'), JSON.stringify(manifest));
+      fs.writeFileSync(join(dir, '.yo-rc.json'), JSON.stringify({
+        '@atxm/generator-package': {
+          ...config['@atxm/generator-package'],
+          packageManager
+        }
+      }));
+      fs.writeFileSync(join(dir, '.eslintrc.cjs'), '');
+    })
+    .withOptions(options)
+    .on('ready', generator => {
+      generator.log = message => lines.push(message);
+      generator.spawnCommandSync = (command, args) => {
+        commands.push([command, ...args]);
+
+        return {
+          status: failingArgs && args.join(' ') === failingArgs ? 1 : 0,
+          stdout: 'Lorem ipsum',
+          stderr: ''
+        };
+      };
+    });
+
+  return {
+    commands,
+    output: lines.join('\n'),
+    result
+  };
+}
+
+describe('doctor', function () {
+  let exitCode;
+  let run;
+
+  this.timeout(10000);
+
+  beforeEach(() => {
+    exitCode = process.exitCode;
+  });
+
+  afterEach(() => {
+    process.exitCode = exitCode;
+    run.result.cleanup();
+  });
+
+  it('installs missing dependencies, then builds and lints', async () => {
+    run = await runDoctor({});
+
+    assert.deepStrictEqual(run.commands.map(command => command.slice(0, 3)), [
+      ['npm', 'install', '--save-dev'],
+      ['npm', 'run', 'build'],
+      ['npm', 'run', 'lint:code']
+    ]);
+    assert.ok(run.commands[0].some(arg => /^typescript@\^\d/.test(arg)));
+    assert.ok(run.output.includes('builds and lints'));
+    assert.notStrictEqual(process.exitCode, 1);
+  });
+
+  it('installs from a local cache', async () => {
+    run = await runDoctor({ cache: '/tmp/cache', registry: 'http://localhost:4873' });
+
+    assert.deepStrictEqual(run.commands[0].slice(-5), ['--offline', '--cache', '/tmp/cache', '--registry', 'http://localhost:4873']);
+  });
+
+  it('installs with the package manager of the project', async () => {
+    run = await runDoctor({ cache: '/tmp/cache' }, null, 'pnpm');
+
+    assert.deepStrictEqual(run.commands[0].slice(0, 3), ['pnpm', 'add', '--save-dev']);
+    assert.deepStrictEqual(run.commands[0].slice(-3), ['--offline', '--store-dir', '/tmp/cache']);
+    assert.deepStrictEqual(run.commands[1], ['pnpm', 'run', 'build']);
+  });
+
+  it('reports failing configurations', async () => {
+    run = await runDoctor({}, 'run lint:code');
+
+    assert.ok(run.output.includes('✖ lint:code – check .eslintrc.cjs'));
+    assert.ok(run.output.includes('Lorem ipsum'));
+    assert.strictEqual(process.exitCode, 1);
+  });
+});
@@ -0,0 +1,769 @@
+const assert = require('assert');
+const semver = require('semver');
+
+const {
+  addKeybinding,
+  addMenuItem,
+  addWorkspace,
+  composeConfigSchema,
+  composeManifest,
+  composeReleaseConfig,
+  composeSnippets,
+  diffESLintConfig,
+  diffManifest,
+  formatFileTree,
+  getDependencies,
+  getDestinationPath,
+  getDirectories,
+  getEditors,
+  getForeignLockfiles,
+  getGitHooks,
+  getPackageCommands,
+  getPackageManager,
+  getPackageSpecs,
+  getServiceImports,
+  getServices,
+  getTemplatePath,
+  getUnpinnedDependencies,
+  getVerifyChecks,
+  getWorkspaceMatrixJobs,
+  getWorkspaceViews,
+  isWorkspacePackage,
+  mergeBabel,
+  mergeManifest,
+  registerCommand,
+  upgradeManifest
+} = require('../lib/helpers');
+const versions = require('../lib/versions.json');
+const peerFixtures = require('./fixtures/peer-dependencies.json');
+
+const defaultProps = {
+  name: 'foo-bar',
+  description: 'Lorem ipsum',
+  author: 'jane-doe',
+  repositoryName: 'atom-foo-bar',
+  license: 'MIT',
+  features: ['code'],
+  packageType: 'hello-world',
+  language: 'typescript',
+  bundler: 'rollup',
+  eslintConfig: 'eslint',
+  testRunner: 'jasmine',
+  activationCommands: true,
+  activationHooks: [],
+  additionalDependencies: []
+};
+
+describe('helpers', () => {
+  describe('getTemplatePath', () => {
+    it('prefers language templates', async () => {
+      assert.strictEqual(await getTemplatePath('src/main.ejs', 'typescript'), 'typescript/src/main.ejs');
+    });
+
+    it('falls back to shared templates', async () => {
+      assert.strictEqual(await getTemplatePath('README.md.ejs', 'typescript'), 'shared/README.md.ejs');
+    });
+
+    it('throws for missing templates', async () => {
+      await assert.rejects(getTemplatePath('missing.ejs', 'typescript'), /No template file found/);
+    });
+  });
+
+  describe('getDestinationPath', () => {
+    it('uses the language extension', () => {
+      assert.strictEqual(getDestinationPath('src/main.ejs', 'typescript'), 'src/main.ts');
+      assert.strictEqual(getDestinationPath('src/main.ejs', 'javascript'), 'src/main.js');
+      assert.strictEqual(getDestinationPath('src/main.ejs', 'coffeescript'), 'src/main.coffee');
+    });
+
+    it('throws for unsupported languages', () => {
+      assert.throws(() => getDestinationPath('src/main.ejs', 'python'), /Unsupported language/);
+    });
+  });
+
+  describe('getDependencies', () => {
+    it('adds bundler dependencies', () => {
+      const [, rollupDependencies] = getDependencies(defaultProps);
+      const [, webpackDependencies] = getDependencies({ ...defaultProps, bundler: 'webpack' });
+
+      assert.ok(rollupDependencies.includes('@rollup/plugin-typescript'));
+      assert.ok(webpackDependencies.includes('ts-loader'));
+      assert.ok(!webpackDependencies.includes('rollup'));
+    });
+
+    it('adds test runner dependencies', () => {
+      const [, devDependencies] = getDependencies({ ...defaultProps, testRunner: 'mocha' });
+
+      assert.ok(devDependencies.includes('atom-mocha-test-runner'));
+      assert.ok(devDependencies.includes('@types/mocha'));
+    });
+
+    it('adds the package installer for linters', () => {
+      const [dependencies] = getDependencies({ ...defaultProps, packageType: 'linter' });
+
+      assert.deepStrictEqual(dependencies, ['atom-package-deps']);
+    });
+
+    it('adds view frameworks', () => {
+      const [dependencies, devDependencies] = getDependencies({
+        ...defaultProps,
+        workspaceOpenerURIs: 'atom://foo-bar/settings',
+        viewFramework: 'react'
+      });
+
+      assert.deepStrictEqual(dependencies, ['react', 'react-dom']);
+      assert.ok(devDependencies.includes('@types/react-dom'));
+    });
+
+    it('adds Tree-sitter parsers to dependencies', () => {
+      const [dependencies] = getDependencies({
+        ...defaultProps,
+        features: ['grammars'],
+        grammarType: 'tree-sitter',
+        grammarParser: 'tree-sitter-foo'
+      });
+
+      assert.deepStrictEqual(dependencies, ['tree-sitter-foo']);
+    });
+
+    it('has a tested version of every dependency', () => {
+      ['typescript', 'javascript', 'coffeescript'].forEach(language => {
+        ['none', 'esbuild', 'parcel', 'rollup', 'webpack'].forEach(bundler => {
+          ['etch', 'react'].forEach(viewFramework => {
+            const [dependencies, devDependencies] = getDependencies({
+              ...defaultProps,
+              language,
+              bundler,
+              viewFramework,
+              features: ['code', 'styles'],
+              packageType: 'linter',
+              testRunner: 'mocha',
+              workspaceOpenerURIs: 'atom://foo-bar/settings',
+              additionalDependencies: ['@atxm/developer-console'],
+              babelPresets: ['@babel/preset-flow', '@babel/preset-react'],
+              stylelintConfig: 'standard'
+            });
+
+            assert.deepStrictEqual(getUnpinnedDependencies([...dependencies, ...devDependencies]), []);
+          });
+        });
+      });
+    });
+
+    it('has a tested version of every linter configuration', () => {
+      ['airbnb', 'atomic', 'eslint', 'google', 'prettier', 'semistandard', 'standard', 'xo'].forEach(eslintConfig => {
+        const [, devDependencies] = getDependencies({ ...defaultProps, eslintConfig });
+
+        assert.deepStrictEqual(getUnpinnedDependencies(devDependencies), []);
+      });
+
+      // stylelint-config-idiomatic isn't published
+      ['prettier', 'primer', 'recommended', 'standard', 'xo'].forEach(stylelintConfig => {
+        const [, devDependencies] = getDependencies({ ...defaultProps, features: ['styles'], stylelintConfig });
+
+        assert.deepStrictEqual(getUnpinnedDependencies(devDependencies), []);
+      });
+    });
+
+    it('adds the Sass compiler of the esbuild plugin', () => {
+      const [, devDependencies] = getDependencies({ ...defaultProps, bundler: 'esbuild' });
+
+      assert.ok(devDependencies.includes('sass-embedded'));
+    });
+
+    // Peer dependencies of the highest version in each tested range, refresh them with
+    // npm view <name>@<range> peerDependencies when changing lib/versions.json
+    it('has tested versions that satisfy each other\'s peer dependencies', () => {
+      Object.entries(versions).forEach(([name, range]) => {
+        const peerDependencies = peerFixtures[`${name}@${range}`];
+
+        assert.ok(peerDependencies, `Missing peer dependencies of ${name}@${range}`);
+
+        Object.entries(peerDependencies)
+          .filter(([peer]) => versions[peer])
+          .forEach(([peer, peerRange]) => {
+            assert.ok(semver.intersects(versions[peer], peerRange), `${name}@${range} requires ${peer}@${peerRange}, but ${peer}@${versions[peer]} is tested`);
+          });
+      });
+    });
+  });
+
+  describe('getPackageSpecs', () => {
+    it('adds tested versions', () => {
+      assert.deepStrictEqual(getPackageSpecs(['husky', 'tree-sitter-foo']), ['husky@^8.0.3', 'tree-sitter-foo']);
+    });
+  });
+
+  describe('composeManifest', () => {
+    it('pins dependencies', () => {
+      const manifest = composeManifest({ ...defaultProps, packageType: 'linter' });
+
+      assert.deepStrictEqual(manifest.dependencies, { 'atom-package-deps': '^8.0.0' });
+      assert.strictEqual(manifest.devDependencies.rollup, '^2.79.1');
+      assert.strictEqual(manifest.devDependencies.typescript, '^5.2.2');
+    });
+
+    it('adds activation hooks', () => {
+      const manifest = composeManifest({
+        ...defaultProps,
+        activationHooks: ['root-scope-used', 'grammar-used'],
+        rootScopeUsed: 'source.js',
+        grammarUsed: 'source.ts:grammar-used'
+      });
+
+      assert.deepStrictEqual(manifest.activationHooks, ['source.js:root-scope-used', 'source.ts:grammar-used']);
+    });
+
+    it('targets Pulsar', () => {
+      const manifest = composeManifest({ ...defaultProps, targetEditor: 'pulsar' });
+
+      assert.strictEqual(manifest.homepage, 'https://web.pulsar-edit.dev/packages/foo-bar');
+      assert.strictEqual(manifest.engines.atom, '>=1.100.0 <2.0.0');
+      assert.strictEqual(manifest.scripts.test, 'pulsar --test spec');
+    });
+
+    it('adds minimum versions of pinned packages', () => {
+      const manifest = composeManifest({ ...defaultProps, packageType: 'linter', atomDependencies: ['busy-signal@2.0.1', 'intentions'] });
+
+      assert.deepStrictEqual(manifest['package-deps'], ['linter', { name: 'busy-signal', minimumVersion: '2.0.1' }, 'intentions']);
+    });
+
+    it('keeps Atom compatible when targeting both editors', () => {
+      const manifest = composeManifest({ ...defaultProps, targetEditor: 'both' });
+
+      assert.strictEqual(manifest.engines.atom, '>=1.0.0 <2.0.0');
+    });
+
+    it('declares services by package type', () => {
+      const linterManifest = composeManifest({ ...defaultProps, packageType: 'linter' });
+      const statusBarManifest = composeManifest({ ...defaultProps, packageType: 'status-bar' });
+
+      assert.deepStrictEqual(linterManifest.providedServices, {
+        linter: {
+          versions: {
+            '2.0.0': 'provideLinter'
+          }
+        }
+      });
+      assert.deepStrictEqual(linterManifest['package-deps'], ['linter']);
+      assert.deepStrictEqual(linterManifest.activationCommands, {});
+      assert.deepStrictEqual(Object.keys(statusBarManifest.consumedServices), ['status-bar']);
+    });
+
+    it('opens dock items through their URI', () => {
+      const manifest = composeManifest({ ...defaultProps, packageType: 'dock' });
+
+      assert.deepStrictEqual(manifest.workspaceOpeners, ['atom://foo-bar']);
+      assert.deepStrictEqual(manifest.activationCommands, {
+        'atom-workspace': ['foo-bar:toggle']
+      });
+    });
+
+    it('registers no deserializer for package state', () => {
+      const manifest = composeManifest({ ...defaultProps, persistState: true });
+
+      assert.strictEqual(manifest.deserializers, undefined);
+    });
+
+    it('adds placeholder scripts without code', () => {
+      const manifest = composeManifest({ ...defaultProps, features: ['styles'] });
+
+      assert.strictEqual(manifest.scripts.build, 'echo "Nothing to build"');
+      assert.strictEqual(manifest.scripts.test, 'echo "Nothing to test"');
+    });
+
+    it('sets the test runner', () => {
+      const manifest = composeManifest({ ...defaultProps, testRunner: 'mocha' });
+
+      assert.strictEqual(manifest.atomTestRunner, './spec/runner');
+      assert.strictEqual(manifest.scripts.test, 'atom --test spec');
+    });
+
+    it('adds the release script', () => {
+      assert.strictEqual(composeManifest({ ...defaultProps, releaseTool: 'np' }).scripts.release, 'np --no-publish --no-release-draft');
+      assert.strictEqual(composeManifest(defaultProps).scripts.release, undefined);
+    });
+
+    it('declares themes', () => {
+      const manifest = composeManifest({ ...defaultProps, features: ['styles'], packageKind: 'syntax-theme' });
+
+      assert.strictEqual(manifest.theme, 'syntax');
+      assert.strictEqual(manifest.scripts['lint:styles'], 'stylelint --allow-empty-input index.less styles/*.{css,less}');
+      assert.strictEqual(composeManifest(defaultProps).theme, undefined);
+    });
+
+    it('lints staged files of the chosen language', () => {
+      assert.deepStrictEqual(composeManifest(defaultProps)['lint-staged'], {
+        '*.json': 'jsonlint --quiet',
+        '*.{md,yml}': 'prettierx --write',
+        '*.ts': ['prettierx --write', 'eslint --cache --fix']
+      });
+      assert.deepStrictEqual(composeManifest({ ...defaultProps, language: 'coffeescript', features: ['code', 'styles'] })['lint-staged'], {
+        '*.json': 'jsonlint --quiet',
+        '*.{md,yml}': 'prettierx --write',
+        '*.coffee': 'coffeelint',
+        '*.{css,less}': 'stylelint --fix'
+      });
+    });
+
+    it('leaves git hooks to the workspace root', () => {
+      const manifest = composeManifest({ ...defaultProps, workspace: { configs: {} } });
+
+      assert.strictEqual(manifest.scripts.postinstall, undefined);
+      assert.strictEqual(manifest.devDependencies.husky, undefined);
+    });
+  });
+
+  describe('composeReleaseConfig', () => {
+    it('publishes with the CLI of the editor', () => {
+      const { plugins } = composeReleaseConfig({ ...defaultProps, targetEditor: 'both' });
+
+      assert.deepStrictEqual(plugins.find(plugin => plugin[0] === '@semantic-release/exec'), [
+        '@semantic-release/exec',
+        { publishCmd: 'ppm publish --tag v${nextRelease.version}' }
+      ]);
+      assert.deepStrictEqual(plugins.find(plugin => plugin[0] === '@semantic-release/npm'), [
+        '@semantic-release/npm',
+        { npmPublish: false }
+      ]);
+    });
+  });
+
+  describe('getServices', () => {
+    it('names methods and types after services', () => {
+      const services = getServices({
+        ...defaultProps,
+        packageType: 'status-bar',
+        consumedServices: ['status-bar@^1.1.0', 'foo.bar@~2.0'],
+        providedServices: ['my-service@1.0.0']
+      });
+
+      assert.deepStrictEqual(services.consumed.map(({ method, type, preset }) => [method, type, preset]), [
+        ['consumeStatusBar', 'StatusBar', true],
+        ['consumeFooBar', 'FooBarService', false]
+      ]);
+      assert.deepStrictEqual(services.provided[0], {
+        name: 'my-service',
+        version: '1.0.0',
+        method: 'provideMyService',
+        property: 'myService',
+        type: 'MyService',
+        typeModule: './services',
+        preset: false
+      });
+      assert.deepStrictEqual(getServiceImports(services), {
+        'atom/status-bar': ['StatusBar'],
+        './services': ['FooBarService', 'MyService']
+      });
+    });
+  });
+
+  describe('getWorkspaceViews', () => {
+    it('names views after their URIs', () => {
+      const views = getWorkspaceViews({
+        ...defaultProps,
+        packageType: 'dock',
+        workspaceOpenerURIs: 'atom://foo-bar, atom://foo-bar/settings'
+      });
+
+      assert.deepStrictEqual(views, [
+        {
+          uri: 'atom://foo-bar/settings',
+          title: 'Settings',
+          fileName: 'settings-view',
+          className: 'SettingsView',
+          componentName: 'Settings',
+          constantName: 'SETTINGS_VIEW_URI',
+          command: 'open-settings',
+          deserializer: 'FooBarSettingsView',
+          deserializeMethod: 'deserializeSettingsView'
+        }
+      ]);
+    });
+
+    it('registers deserializers and activation commands', () => {
+      const manifest = composeManifest({ ...defaultProps, workspaceOpenerURIs: 'atom://foo-bar/settings' });
+
+      assert.deepStrictEqual(manifest.deserializers, {
+        FooBarSettingsView: 'deserializeSettingsView'
+      });
+      assert.deepStrictEqual(manifest.activationCommands['atom-workspace'], ['foo-bar:hello-world', 'foo-bar:open-settings']);
+    });
+  });
+
+  describe('getEditors', () => {
+    it('falls back to Atom', () => {
+      assert.deepStrictEqual(getEditors().map(editor => editor.cli), ['apm']);
+    });
+
+    it('lists Pulsar first when targeting both editors', () => {
+      assert.deepStrictEqual(getEditors('both').map(editor => editor.cli), ['ppm', 'apm']);
+    });
+  });
+
+  describe('getPackageManager', () => {
+    it('falls back to npm', () => {
+      assert.strictEqual(getPackageManager().ciInstall, 'npm ci');
+    });
+
+    it('runs Yarn Berry through the yarn command', () => {
+      const { command, ciInstall } = getPackageManager('yarn-berry');
+
+      assert.strictEqual(command, 'yarn');
+      assert.strictEqual(ciInstall, 'yarn install --immutable');
+    });
+  });
+
+  describe('getForeignLockfiles', () => {
+    it('lists lockfiles of other package managers', () => {
+      assert.deepStrictEqual(getForeignLockfiles('pnpm'), ['bun.lock', 'package-lock.json', 'yarn.lock']);
+    });
+
+    it('keeps the shared Yarn lockfile', () => {
+      assert.deepStrictEqual(getForeignLockfiles('yarn-berry'), ['bun.lock', 'package-lock.json', 'pnpm-lock.yaml']);
+    });
+  });
+
+  describe('getPackageCommands', () => {
+    it('finds commands of the package', () => {
+      const commands = getPackageCommands(
+        'foo-bar',
+        { activationCommands: { 'atom-workspace': ['foo-bar:toggle', 'core:move-up'] } },
+        `atom.commands.add('atom-workspace', { 'foo-bar:do-thing': () => {}, 'foo-bar:toggle': () => {} });`
+      );
+
+      assert.deepStrictEqual(commands, ['do-thing', 'toggle']);
+    });
+  });
+
+  describe('getGitHooks', () => {
+    it('runs lint-staged before committing', () => {
+      assert.deepStrictEqual(getGitHooks({ ...defaultProps, packageManager: 'yarn-berry' }), {
+        'pre-commit': 'yarn lint-staged'
+      });
+    });
+
+    it('adds commitlint and pre-push scripts', () => {
+      const hooks = getGitHooks({ ...defaultProps, commitlint: true, prePushHooks: ['build', 'test'] }, '{1}');
+
+      assert.strictEqual(hooks['commit-msg'], 'npx commitlint --edit {1}');
+      assert.strictEqual(hooks['pre-push'], 'npm run build && npm run test');
+    });
+  });
+
+  describe('getVerifyChecks', () => {
+    it('maps scripts to their configurations', () => {
+      const checks = getVerifyChecks({ ...defaultProps, bundler: 'webpack' }, composeManifest(defaultProps));
+
+      assert.deepStrictEqual(checks, [
+        { name: 'build', files: ['webpack.config.js', 'tsconfig.json', '.babelrc'] },
+        { name: 'lint:code', files: ['.eslintrc.cjs'] }
+      ]);
+    });
+
+    it('maps Parcel builds to the manifest', () => {
+      const checks = getVerifyChecks({ ...defaultProps, bundler: 'parcel' }, composeManifest(defaultProps));
+
+      assert.deepStrictEqual(checks[0].files, ['package.json', 'tsconfig.json']);
+    });
+  });
+
+  describe('mergeManifest', () => {
+    it('keeps user-defined values', () => {
+      const merged = mergeManifest(
+        {
+          scripts: {
+            build: 'make',
+            lint: 'echo "Nothing to lint"'
+          },
+          styleSheets: ['main.less']
+        },
+        {
+          scripts: {
+            build: 'rollup --config',
+            lint: 'stylelint styles'
+          },
+          styleSheets: ['main.less', 'extra.less']
+        }
+      );
+
+      assert.deepStrictEqual(merged, {
+        scripts: {
+          build: 'make',
+          lint: 'stylelint styles'
+        },
+        styleSheets: ['main.less', 'extra.less']
+      });
+    });
+  });
+
+  describe('upgradeManifest', () => {
+    const manifest = {
+      name: 'foo-bar',
+      main: './lib/index',
+      keywords: ['linter'],
+      scripts: {
+        build: 'make',
+        custom: 'node script.js'
+      },
+      engines: {
+        atom: '>=1.0.0 <2.0.0',
+        node: '>=16'
+      },
+      dependencies: {
+        'atom-package-deps': '^8.0.0'
+      }
+    };
+
+    it('keeps user-defined fields', () => {
+      const upgraded = upgradeManifest(manifest, composeManifest(defaultProps));
+
+      assert.deepStrictEqual(upgraded.keywords, ['linter']);
+      assert.deepStrictEqual(upgraded.dependencies, manifest.dependencies);
+      assert.strictEqual(upgraded.scripts.build, 'make');
+      assert.strictEqual(upgraded.scripts.custom, 'node script.js');
+      assert.strictEqual(upgraded.engines.node, '>=16');
+      assert.ok(upgraded.scripts.analyze);
+      assert.ok(upgraded['lint-staged']);
+    });
+
+    it('replaces generator-owned fields', () => {
+      const upgraded = upgradeManifest(manifest, composeManifest({ ...defaultProps, bundler: 'parcel', targetEditor: 'pulsar' }));
+
+      assert.strictEqual(upgraded.main, './lib/main');
+      assert.strictEqual(upgraded.engines.atom, '>=1.100.0 <2.0.0');
+      assert.ok(upgraded.targets.atom);
+    });
+
+    it('removes generator-owned fields that no longer apply', () => {
+      const upgraded = upgradeManifest({ ...manifest, atomTestRunner: './spec/runner' }, composeManifest(defaultProps));
+
+      assert.ok(!('atomTestRunner' in upgraded));
+    });
+  });
+
+  describe('mergeBabel', () => {
+    it('adds missing plugins and presets', () => {
+      const merged = mergeBabel(
+        {
+          presets: [['@babel/preset-env', { targets: { electron: '9.0.0' } }]],
+          comments: false
+        },
+        {
+          plugins: ['@babel/plugin-proposal-export-namespace-from'],
+          presets: [['@babel/preset-env', { targets: { electron: '2.0.0' } }], '@babel/preset-react'],
+          comments: true
+        }
+      );
+
+      assert.deepStrictEqual(merged, {
+        presets: [['@babel/preset-env', { targets: { electron: '9.0.0' } }], '@babel/preset-react'],
+        plugins: ['@babel/plugin-proposal-export-namespace-from'],
+        comments: false
+      });
+    });
+  });
+
+  describe('diffESLintConfig', () => {
+    it('lists settings missing from the source', () => {
+      const source = `const base = require('./base');\n\nmodule.exports = { ...base, extends: ["eslint"], globals: { 'atom': 'readonly' } };\n`;
+      const changes = diffESLintConfig(source, {
+        root: true,
+        extends: ['eslint', 'plugin:json/recommended'],
+        env: { browser: true },
+        globals: { atom: 'readonly' },
+        parser: '@typescript-eslint/parser'
+      });
+
+      assert.deepStrictEqual(changes, [
+        '+ extends: plugin:json/recommended',
+        '+ env.browser: true',
+        '+ parser: @typescript-eslint/parser'
+      ]);
+    });
+  });
+
+  describe('diffManifest', () => {
+    it('summarizes changes', () => {
+      const changes = diffManifest(
+        { main: './lib/index', scripts: { build: 'make' }, atomTestRunner: './spec/runner' },
+        { main: './lib/main', scripts: { build: 'make', analyze: 'source-map-explorer' } }
+      );
+
+      assert.deepStrictEqual(changes, [
+        '~ main: ./lib/index → ./lib/main',
+        '+ scripts.analyze: source-map-explorer',
+        '- atomTestRunner'
+      ]);
+    });
+  });
+
+  describe('isWorkspacePackage', () => {
+    it('matches workspace globs', () => {
+      assert.ok(isWorkspacePackage(['packages/*'], 'packages/foo-bar'));
+      assert.ok(isWorkspacePackage(['./packages/**'], 'packages/atom/foo-bar'));
+      assert.ok(!isWorkspacePackage(['packages/*'], 'packages/atom/foo-bar'));
+      assert.ok(!isWorkspacePackage(['tools/*'], 'packages/foo-bar'));
+    });
+  });
+
+  describe('addWorkspace', () => {
+    it('adds unmatched packages', () => {
+      assert.deepStrictEqual(addWorkspace({ workspaces: ['tools/*'] }, 'packages/foo-bar').workspaces, ['tools/*', 'packages/foo-bar']);
+      assert.deepStrictEqual(addWorkspace({ workspaces: { packages: [], nohoist: ['**/atom'] } }, 'packages/foo-bar').workspaces, {
+        packages: ['packages/foo-bar'],
+        nohoist: ['**/atom']
+      });
+    });
+
+    it('keeps manifests that match the package', () => {
+      const manifest = { workspaces: ['packages/*'] };
+
+      assert.strictEqual(addWorkspace(manifest, 'packages/foo-bar'), manifest);
+    });
+  });
+
+  describe('getWorkspaceMatrixJobs', () => {
+    it('finds package matrices without the package', () => {
+      const jobs = getWorkspaceMatrixJobs({
+        jobs: {
+          lint: { steps: [] },
+          test: { strategy: { matrix: { node: ['20'], package: ['packages/baz'] } } },
+          build: { strategy: { matrix: { package: ['packages/foo-bar'] } } }
+        }
+      }, 'packages/foo-bar');
+
+      assert.deepStrictEqual(jobs, ['test']);
+    });
+  });
+
+  describe('getDirectories', () => {
+    it('lists parent folders', () => {
+      assert.deepStrictEqual(getDirectories(['package.json', 'src/views/settings-view.js', 'src/main.js']), ['src', 'src/views']);
+    });
+  });
+
+  describe('formatFileTree', () => {
+    it('renders files by folder', () => {
+      const tree = formatFileTree([
+        { path: 'src/main.js', action: 'create' },
+        { path: 'package.json', action: 'update' },
+        { path: 'src/views/settings-view.js', action: 'create' }
+      ], ['src/views']);
+
+      assert.deepStrictEqual(tree, [
+        '├─ package.json (update)',
+        '└─ src/',
+        '   ├─ main.js (create)',
+        '   └─ views/ (create)',
+        '      └─ settings-view.js (create)'
+      ]);
+    });
+  });
+
+  describe('composeConfigSchema', () => {
+    it('converts answers to a schema', () => {
+      const schema = composeConfigSchema([
+        { key: 'mode', type: 'enum', enum: 'fast, thorough', default: 'fast', title: 'Mode', description: '', order: '' },
+        { key: 'depth', type: 'integer', minimum: '1', maximum: '', default: '3', title: 'Depth', description: 'Search depth', order: '5' }
+      ]);
+
+      assert.deepStrictEqual(schema, {
+        mode: {
+          title: 'Mode',
+          type: 'string',
+          enum: ['fast', 'thorough'],
+          default: 'fast',
+          order: 1
+        },
+        depth: {
+          title: 'Depth',
+          description: 'Search depth',
+          type: 'integer',
+          minimum: 1,
+          default: 3,
+          order: 5
+        }
+      });
+    });
+  });
+
+  describe('composeSnippets', () => {
+    it('groups snippets by selector', () => {
+      const snippets = composeSnippets({
+        name: 'foo-bar',
+        snippetScopes: '.source.js, .source.ts',
+        snippetStarters: ['todo']
+      });
+
+      assert.deepStrictEqual(Object.keys(snippets), ['.source.js, .source.ts']);
+      assert.strictEqual(snippets['.source.js, .source.ts']['To-do Comment'].rightLabel, 'foo-bar');
+    });
+  });
+
+  describe('addKeybinding', () => {
+    it('keeps existing keybindings', () => {
+      const keymap = addKeybinding({ 'atom-workspace': { 'ctrl-a': 'foo-bar:a' } }, 'atom-workspace', 'ctrl-b', 'foo-bar:b');
+
+      assert.deepStrictEqual(keymap, {
+        'atom-workspace': {
+          'ctrl-a': 'foo-bar:a',
+          'ctrl-b': 'foo-bar:b'
+        }
+      });
+    });
+  });
+
+  describe('addMenuItem', () => {
+    it('adds items to the package menu', () => {
+      const menus = addMenuItem({}, {
+        name: 'foo-bar',
+        commandLabel: 'Toggle',
+        commandName: 'foo-bar:toggle',
+        commandSelector: 'atom-workspace',
+        commandMenus: ['context-menu', 'menu']
+      });
+
+      assert.deepStrictEqual(menus['context-menu'], {
+        'atom-workspace': [{ label: 'Toggle', command: 'foo-bar:toggle' }]
+      });
+      assert.deepStrictEqual(menus.menu[0].submenu[0], {
+        label: 'foo-bar',
+        submenu: [{ label: 'Toggle', command: 'foo-bar:toggle' }]
+      });
+    });
+  });
+
+  describe('registerCommand', () => {
+    const commandProps = {
+      command: 'toggle',
+      commandFunction: 'toggle',
+      commandName: 'foo-bar:toggle',
+      commandSelector: 'atom-workspace'
+    };
+
+    it('registers commands in JavaScript', () => {
+      const source = registerCommand(
+        'import { CompositeDisposable } from \'atom\';\n\nexport default {\n  activate() {\n  }\n};\n',
+        { ...commandProps, language: 'javascript' }
+      );
+
+      assert.ok(source.includes('import { toggle } from \'./commands/toggle\';'));
+      assert.ok(source.indexOf('\'foo-bar:toggle\'') > source.indexOf('activate()'));
+    });
+
+    it('registers commands in CoffeeScript', () => {
+      const source = registerCommand(
+        '{ CompositeDisposable } = require "atom"\n\nmodule.exports =\n  activate: ->\n    @subscriptions = new CompositeDisposable()\n',
+        { ...commandProps, language: 'coffeescript' }
+      );
+
+      assert.ok(source.includes('{ toggle } = require "./commands/toggle"'));
+      assert.ok(source.includes('"foo-bar:toggle": -> toggle()'));
+    });
+
+    it('throws without activate()', () => {
+      assert.throws(() => registerCommand('export default {};', { ...commandProps, language: 'javascript' }), /activate\(\)/);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+const { createRegistryClient, parsePackage } = require('../lib/registry');
+
+const registryURL = 'http://localhost:4873/api/packages';
+
+// Serves package metadata from memory, recording every request
+function createFetch(packages) {
+  const requests = [];
+
+  const fetch = async url => {
+    requests.push(url);
+
+    const metadata = packages[url.replace(`${registryURL}/`, '')];
+
+    return {
+      ok: Boolean(metadata),
+      status: metadata ? 200 : 404,
+      json: async () => metadata
+    };
+  };
+
+  return {
+    fetch,
+    requests
+  };
+}
+
+describe('registry', () => {
+  describe('parsePackage', () => {
+    it('splits pinned versions', () => {
+      assert.deepStrictEqual(parsePackage('linter@2.0.0'), { name: 'linter', version: '2.0.0' });
+      assert.deepStrictEqual(parsePackage(' busy-signal '), { name: 'busy-signal', version: undefined });
+    });
+  });
+
+  describe('findMissing', () => {
+    const packages = {
+      'linter': {
+        versions: {
+          '2.0.0': {},
+          '2.1.0': {}
+        }
+      },
+      'busy-signal': {
+        versions: {
+          '2.0.1': {}
+        }
+      }
+    };
+
+    it('reports every missing package', async () => {
+      const { fetch } = createFetch(packages);
+      const registry = createRegistryClient({ registryURL, fetch });
+
+      assert.deepStrictEqual(await registry.findMissing(['linter', 'foo', 'busy-signal', 'bar']), ['foo', 'bar']);
+    });
+
+    it('checks pinned versions', async () => {
+      const { fetch } = createFetch(packages);
+      const registry = createRegistryClient({ registryURL, fetch });
+
+      assert.deepStrictEqual(await registry.findMissing(['linter@2.1.0', 'busy-signal@3.0.0']), ['busy-signal@3.0.0']);
+    });
+
+    it('caches lookups', async () => {
+      const { fetch, requests } = createFetch(packages);
+      const registry = createRegistryClient({ registryURL, fetch });
+
+      await registry.findMissing(['linter']);
+      await registry.findMissing(['linter@2.0.0', 'linter']);
+
+      assert.deepStrictEqual(requests, [`${registryURL}/linter`]);
+    });
+
+    it('throws on server errors', async () => {
+      const registry = createRegistryClient({
+        registryURL,
+        fetch: async () => ({ ok: false, status: 500 })
+      });
+
+      await assert.rejects(registry.getPackage('linter'), /responded with 500/);
+    });
+
+    it('warns when the registry is unreachable', async () => {
+      const warnings = [];
+      const registry = createRegistryClient({
+        registryURL,
+        fetch: async () => {
+          throw Error('getaddrinfo ENOTFOUND localhost');
+        },
+        warn: message => warnings.push(message)
+      });
+
+      assert.deepStrictEqual(await registry.findMissing(['linter']), []);
+      assert.strictEqual(warnings.length, 1);
+      assert.match(warnings[0], /ENOTFOUND/);
+    });
+  });
+});
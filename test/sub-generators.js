@@ -0,0 +1,96 @@
+const assert = require('yeoman-assert');
+const helpers = require('yeoman-test');
+const { join } = require('path');
+const fs = require('fs');
+
+const generatorsPath = join(__dirname, '../generators');
+
+// Runs a generator in the given folder, recording installs instead of running them
+function runGenerator(name, options, dir) {
+  const context = helpers.run(join(generatorsPath, name))
+    .withOptions({
+      'clear': false,
+      'force': true,
+      'yes': true,
+      ...options
+    })
+    .on('ready', generator => {
+      generator._scheduleCommand = () => {};
+    });
+
+  return dir
+    ? context.cd(dir)
+    : context;
+}
+
+describe('sub-generators', function () {
+  const { log } = console;
+  let result;
+
+  this.timeout(20000);
+
+  before(async () => {
+    console.log = () => {};
+
+    result = await runGenerator('app', {
+      'name': 'foo-bar',
+      'description': 'Lorem ipsum',
+      'author': 'jane-doe',
+      'features': 'code,keymaps,menus,styles',
+      'language': 'typescript',
+      'init-git': false,
+      'link-dev-package': false,
+      'open-in-editor': false
+    });
+
+    await runGenerator('command', {
+      'command': 'do-thing',
+      'command-keybinding': 'ctrl-alt-d',
+      'command-label': 'Do Thing',
+      'command-menus': 'menu'
+    }, result.cwd);
+  });
+
+  after(() => {
+    console.log = log;
+    result.cleanup();
+  });
+
+  it('adds keybindings to an existing keymap', async () => {
+    await runGenerator('keymap', {
+      'command': 'do-thing',
+      'keystroke': 'ctrl-alt-t'
+    }, result.cwd);
+
+    assert.jsonFileContent('keymaps/foo-bar.json', {
+      'atom-workspace': {
+        'ctrl-alt-o': 'foo-bar:hello-world',
+        'ctrl-alt-d': 'foo-bar:do-thing',
+        'ctrl-alt-t': 'foo-bar:do-thing'
+      }
+    });
+  });
+
+  it('adds items to existing menus', async () => {
+    await runGenerator('menu', {
+      'command': 'do-thing'
+    }, result.cwd);
+
+    const menus = JSON.parse(fs.readFileSync('menus/foo-bar.json', 'utf8'));
+
+    assert.deepStrictEqual(menus.menu[0].submenu[0].submenu.map(item => item.command), ['foo-bar:hello-world', 'foo-bar:do-thing']);
+    assert.deepStrictEqual(menus['context-menu']['atom-text-editor'].map(item => item.command), ['foo-bar:hello-world', 'foo-bar:do-thing']);
+  });
+
+  it('keeps existing stylesheets', async () => {
+    fs.writeFileSync('styles/foo-bar.less', '// Custom styles\n');
+    fs.writeFileSync('.stylelintrc', '{ "extends": "stylelint-config-custom" }\n');
+
+    await runGenerator('styles', {
+      'stylelint-config': 'standard'
+    }, result.cwd);
+
+    assert.equalsFileContent('styles/foo-bar.less', '// Custom styles\n');
+    assert.equalsFileContent('.stylelintrc', '{ "extends": "stylelint-config-custom" }\n');
+  });
+});
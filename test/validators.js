@@ -0,0 +1,159 @@
+const assert = require('assert');
+const validators = require('../lib/validators');
+
+describe('validators', () => {
+  describe('name', () => {
+    it('accepts package names', () => {
+      assert.strictEqual(validators.name('foo-bar', {}), true);
+      assert.strictEqual(validators.name('atom-foo', { allowAtomPrefix: true }), true);
+    });
+
+    it('rejects invalid package names', () => {
+      assert.notStrictEqual(validators.name('', {}), true);
+      assert.notStrictEqual(validators.name('Foo Bar', {}), true);
+      assert.notStrictEqual(validators.name('atom-foo', { allowAtomPrefix: false }), true);
+      assert.notStrictEqual(validators.name('a'.repeat(215), {}), true);
+    });
+  });
+
+  describe('description', () => {
+    it('requires a description, unless allowed otherwise', () => {
+      assert.notStrictEqual(validators.description('', {}), true);
+      assert.strictEqual(validators.description('', { 'allow-empty-description': true }), true);
+    });
+  });
+
+  describe('scopeName', () => {
+    it('expects dot-separated scopes', () => {
+      assert.strictEqual(validators.scopeName('source.foo'), true);
+      assert.strictEqual(validators.scopeName('text.html.c++'), true);
+      assert.notStrictEqual(validators.scopeName('source'), true);
+      assert.notStrictEqual(validators.scopeName('source foo'), true);
+    });
+  });
+
+  describe('scopeNames', () => {
+    it('expects comma-separated scopes', () => {
+      assert.strictEqual(validators.scopeNames('source.js, source.ts'), true);
+      assert.notStrictEqual(validators.scopeNames('source.js, source'), true);
+    });
+  });
+
+  describe('services', () => {
+    it('expects names with versions', () => {
+      assert.strictEqual(validators.services(''), true);
+      assert.strictEqual(validators.services('status-bar@^1.0.0, linter@2.0.0'), true);
+      assert.notStrictEqual(validators.services('status-bar'), true);
+      assert.notStrictEqual(validators.services('status-bar@latest'), true);
+    });
+  });
+
+  describe('scopeSelectors', () => {
+    it('expects selectors starting with a dot', () => {
+      assert.strictEqual(validators.scopeSelectors('.source.js, .source.ts'), true);
+      assert.strictEqual(validators.scopeSelectors('*'), true);
+      assert.notStrictEqual(validators.scopeSelectors('source.js'), true);
+      assert.notStrictEqual(validators.scopeSelectors(' , '), true);
+    });
+  });
+
+  describe('fileTypes', () => {
+    it('expects extensions without dots', () => {
+      assert.strictEqual(validators.fileTypes('foo, bar'), true);
+      assert.notStrictEqual(validators.fileTypes('.foo'), true);
+      assert.notStrictEqual(validators.fileTypes(''), true);
+    });
+  });
+
+  describe('parserModule', () => {
+    it('expects Node module names', () => {
+      assert.strictEqual(validators.parserModule('tree-sitter-foo'), true);
+      assert.strictEqual(validators.parserModule('@scope/tree-sitter-foo'), true);
+      assert.notStrictEqual(validators.parserModule('tree sitter'), true);
+    });
+  });
+
+  describe('command', () => {
+    it('expects kebab-cased names', () => {
+      assert.strictEqual(validators.command('toggle-panel'), true);
+      assert.notStrictEqual(validators.command('togglePanel'), true);
+      assert.notStrictEqual(validators.command('-toggle'), true);
+    });
+
+    it('rejects reserved words', () => {
+      assert.notStrictEqual(validators.command('delete'), true);
+    });
+  });
+
+  describe('keybinding', () => {
+    it('expects space-separated keystrokes', () => {
+      assert.strictEqual(validators.keybinding(''), true);
+      assert.strictEqual(validators.keybinding('ctrl-k ctrl-t'), true);
+      assert.notStrictEqual(validators.keybinding('ctrl-k  ctrl-t'), true);
+    });
+  });
+
+  describe('configKey', () => {
+    it('expects identifiers', () => {
+      assert.strictEqual(validators.configKey('showIcons'), true);
+      assert.notStrictEqual(validators.configKey('show-icons'), true);
+    });
+  });
+
+  describe('configNumber', () => {
+    it('checks numbers by type', () => {
+      assert.strictEqual(validators.configNumber('', 'integer'), true);
+      assert.strictEqual(validators.configNumber('-1.5', 'number'), true);
+      assert.notStrictEqual(validators.configNumber('1.5', 'integer'), true);
+    });
+  });
+
+  describe('configDefault', () => {
+    it('checks defaults by type', () => {
+      assert.strictEqual(validators.configDefault('true', { type: 'boolean' }), true);
+      assert.notStrictEqual(validators.configDefault('yes', { type: 'boolean' }), true);
+      assert.strictEqual(validators.configDefault('#fff', { type: 'color' }), true);
+      assert.strictEqual(validators.configDefault('fast', { type: 'enum', enum: 'fast, thorough' }), true);
+      assert.notStrictEqual(validators.configDefault('slow', { type: 'enum', enum: 'fast, thorough' }), true);
+    });
+
+    it('checks numbers against their range', () => {
+      assert.strictEqual(validators.configDefault('5', { type: 'integer', minimum: '1', maximum: '10' }), true);
+      assert.notStrictEqual(validators.configDefault('0', { type: 'integer', minimum: '1', maximum: '10' }), true);
+      assert.notStrictEqual(validators.configDefault('11', { type: 'integer', minimum: '1', maximum: '10' }), true);
+    });
+  });
+
+  describe('workspaceOpener', () => {
+    it('expects atom:// URIs', () => {
+      assert.strictEqual(validators.workspaceOpener('atom://foo-bar'), true);
+      assert.strictEqual(validators.workspaceOpener('atom://foo-bar/settings, atom://foo-bar/log'), true);
+      assert.notStrictEqual(validators.workspaceOpener('atom://foo-bar, atom://'), true);
+      assert.notStrictEqual(validators.workspaceOpener('https://foo-bar'), true);
+      assert.notStrictEqual(validators.workspaceOpener(''), true);
+    });
+  });
+
+  describe('atomDependencies', () => {
+    const registry = {
+      registryURL: 'http://localhost:4873/api/packages',
+      findMissing: async packages => packages.filter(pkg => pkg.startsWith('missing'))
+    };
+
+    it('accepts published packages', async () => {
+      assert.strictEqual(await validators.atomDependencies('linter, busy-signal@2.0.1', registry), true);
+    });
+
+    it('lists every missing package', async () => {
+      const result = await validators.atomDependencies('linter, missing-foo, missing-bar@1.0.0', registry);
+
+      assert.match(result, /'missing-foo', 'missing-bar@1\.0\.0'/);
+      assert.match(result, /localhost:4873/);
+    });
+
+    it('expects package names', async () => {
+      assert.notStrictEqual(await validators.atomDependencies('', registry), true);
+      assert.notStrictEqual(await validators.atomDependencies('linter@latest', registry), true);
+    });
+  });
+});